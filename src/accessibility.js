@@ -0,0 +1,103 @@
+/**
+ * accessibility.js - Reduced motion, flash limits and screen reader announcements
+ *
+ * The motion setting follows the system's prefers-reduced-motion unless the user
+ * picks "reduced" or "full" in the controls panel. Reduced motion removes camera
+ * shake, glitches and pulsing overlays.
+ *
+ * In every mode, screen flashes (GlitchPass frames) are limited to
+ * MAX_FLASHES_PER_SECOND, below the WCAG 2.3.1 threshold of three per second.
+ *
+ * The announcer speaks journey phases and the scientific readouts through a
+ * polite live region. It listens to the viewer's own journey events, so the
+ * exporter silences it along with them.
+ */
+
+export const MAX_FLASHES_PER_SECOND = 2;
+
+// 'auto' follows the system setting; remembered between visits
+export const MOTION_SETTINGS = ['auto', 'reduced', 'full'];
+const MOTION_KEY = 'wormhole-motion';
+
+export const reducedMotionQuery = () => window.matchMedia('(prefers-reduced-motion: reduce)');
+
+export function readMotionSetting() {
+    try {
+        const setting = localStorage.getItem(MOTION_KEY);
+        return MOTION_SETTINGS.includes(setting) ? setting : 'auto';
+    } catch (error) {
+        return 'auto'; // Storage can be blocked
+    }
+}
+
+export function storeMotionSetting(setting) {
+    try {
+        localStorage.setItem(MOTION_KEY, setting);
+    } catch (error) {
+        // Not persisted; the choice still applies to this visit
+    }
+}
+
+/**
+ * Whether effects should be reduced for a motion setting
+ */
+export function isReducedMotion(setting) {
+    if (setting === 'auto') return reducedMotionQuery().matches;
+    return setting === 'reduced';
+}
+
+const SUPERSCRIPTS = { '⁻': '-', '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+
+// "-2.8 × 10³² J/m³" reads as "-2.8 times 10 to the 32 joules per cubic metre"
+function speakable(value) {
+    return value
+        .replace(/ × 10([⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+)/g, (match, exponent) => {
+            return ` times 10 to the ${exponent.split('').map(c => SUPERSCRIPTS[c]).join('')}`;
+        })
+        .replace('J/m³', 'joules per cubic metre')
+        .replace('rad/s', 'radians per second')
+        .replace('∞', 'infinite')
+        .replace(/(\d) g$/, '$1 g-force')
+        .replace(/(\d)x$/, '$1 times');
+}
+
+/**
+ * Create the announcer for a viewer: `region` is its live region, `host` the
+ * element its journey events are dispatched on. Listeners end with `signal`.
+ */
+export function createAnnouncer({ region, host, signal }) {
+    let readouts = [];
+
+    function announce(message) {
+        // A repeated message is only read again if the text changes
+        region.textContent = region.textContent === message ? `${message} ` : message;
+    }
+
+    function describeReadouts() {
+        return readouts.map(([label, value]) => `${label} ${speakable(value)}`).join(', ');
+    }
+
+    host.addEventListener('journeystart', (event) => {
+        announce(`Journey started: ${event.detail.phase}. ${describeReadouts()}.`);
+    }, { signal });
+
+    host.addEventListener('phasechange', (event) => {
+        announce(`${event.detail.phase}, ${Math.round(event.detail.progress * 100)} percent. ${describeReadouts()}.`);
+    }, { signal });
+
+    host.addEventListener('journeycomplete', (event) => announce(event.detail.message || "Journey complete."), { signal });
+
+    return {
+        announce,
+
+        // Latest readouts, as [label, value] pairs; kept for the next announcement
+        setReadouts(latest) {
+            readouts = latest;
+        },
+
+        // Speak the readouts now (after the user changes the wormhole)
+        announceReadouts() {
+            if (readouts.length) announce(`${describeReadouts()}.`);
+        }
+    };
+}
@@ -0,0 +1,290 @@
+/**
+ * accretion.js - The accretion disk around the throat
+ *
+ * One ring mesh with two looks:
+ *   stylised      Turbulent orange and white bands
+ *   relativistic  A thin disk in Keplerian orbit (angular velocity ∝ r^-3/2, orbital
+ *                 speed ∝ r^-1/2). Each radius glows as a blackbody at the temperature of
+ *                 a Novikov-Thorne profile, T ∝ r^-3/4 (1 - √(r_in/r))^1/4, peaking at
+ *                 the chosen temperature. Seen from the camera, gas moving towards it is
+ *                 Doppler shifted to a hotter, bluer temperature δT and beamed brighter
+ *                 (bolometric intensity ∝ δ⁴), and the receding side dims and reddens.
+ *
+ * Inclination tilts the disk away from the throat plane: 0° rings the throat, 90° lies
+ * along the wormhole axis.
+ */
+import * as THREE from 'three';
+
+export const DISK_MODES = {
+    stylised: 'Stylised',
+    relativistic: 'Relativistic'
+};
+
+export const DISK_DEFAULTS = {
+    mode: 'stylised',
+    innerRadius: 400,
+    outerRadius: 700,
+    temperature: 9000, // Peak temperature in kelvin
+    inclination: 90 // Degrees
+};
+
+// Ranges of the settings; the outer edge always stays a little beyond the inner one
+export const DISK_LIMITS = {
+    innerRadius: [150, 900],
+    outerRadius: [300, 1500],
+    temperature: [2000, 30000],
+    inclination: [0, 90]
+};
+const MIN_WIDTH = 50;
+
+const RING_SEGMENTS = 128;
+const RING_RINGS = 16; // Enough radial steps for the orbit direction to interpolate smoothly
+
+const noiseFunctions = `
+    // Value noise function
+    float hash( vec2 a ) {
+        return fract( sin( a.x * 3433.8 + a.y * 3843.98 ) * 45933.8 );
+    }
+
+    float noise( vec2 U ) {
+        vec2 id = floor( U );
+        U = fract( U );
+        U *= U * ( 3. - 2. * U );
+        vec2 A = vec2( hash(id) , hash(id + vec2(0,1)) );
+        vec2 B = vec2( hash(id + vec2(1,0)), hash(id + vec2(1,1)) );
+        vec2 C = mix( A, B, U.x);
+        return mix( C.x, C.y, U.y );
+    }
+`;
+
+const StylisedDiskShader = {
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        varying vec2 vUv;
+        uniform float u_time;
+
+        ${noiseFunctions}
+
+        void main() {
+            vec2 uv = vUv;
+            float dist = distance(uv, vec2(0.5));
+
+            // Create swirling motion by rotating UVs based on distance from center
+            float angle = atan(uv.y - 0.5, uv.x - 0.5);
+            float radius = length(uv - 0.5);
+
+            // Add time to the angle for rotation, speed increases closer to center
+            angle += u_time * 0.2 / (radius + 0.1);
+
+            // Convert back to UV coordinates
+            vec2 rotatedUv = vec2(cos(angle), sin(angle)) * radius + 0.5;
+
+            // Use noise to create turbulent bands
+            float n = noise(rotatedUv * 5.0 + u_time * 0.1);
+
+            // Create sharp bands
+            float bands = smoothstep(0.4, 0.6, n) - smoothstep(0.7, 0.9, n);
+
+            // Define colors
+            vec3 color1 = vec3(1.0, 0.6, 0.1); // Orange
+            vec3 color2 = vec3(1.0, 1.0, 0.8); // Bright Yellow/White
+
+            // Mix colors based on bands
+            vec3 color = mix(color1, color2, bands);
+
+            // Fade out at the edges
+            float alpha = smoothstep(0.5, 0.4, dist);
+
+            gl_FragColor = vec4(color * bands, alpha * bands);
+        }
+    `
+};
+
+const RelativisticDiskShader = {
+    vertexShader: `
+        varying vec2 vDiskPosition;
+        varying vec3 vWorldPosition;
+        varying vec3 vOrbitDirection;
+
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+
+        void main() {
+            vDiskPosition = position.xy;
+            vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+            vWorldPosition = worldPosition.xyz;
+
+            // Gas orbits anticlockwise in the disk plane
+            vOrbitDirection = mat3(modelMatrix) * vec3(-position.y, position.x, 0.0);
+
+            gl_Position = projectionMatrix * viewMatrix * worldPosition;
+
+            #include <logdepthbuf_vertex>
+        }
+    `,
+
+    fragmentShader: `
+        uniform float u_time;
+        uniform float u_innerRadius;
+        uniform float u_outerRadius;
+        uniform float u_temperature;
+        varying vec2 vDiskPosition;
+        varying vec3 vWorldPosition;
+        varying vec3 vOrbitDirection;
+
+        #include <common>
+        #include <logdepthbuf_pars_fragment>
+
+        ${noiseFunctions}
+
+        const float INNER_SPEED = 0.5; // Orbital speed at the inner edge, in units of c
+        const float INNER_ANGULAR_SPEED = 0.6; // Rotation of the pattern there, in rad/s
+        const float PEAK_PROFILE = 0.4879; // Largest value of the profile, at r = 49/36 r_in
+
+        // Planck's law at a wavelength in nm (constant factors dropped)
+        vec3 planck(vec3 wavelength, float temperature) {
+            return 1.0 / (pow(wavelength, vec3(5.0)) * (exp(1.4388e7 / (wavelength * temperature)) - 1.0));
+        }
+
+        // Colour of a blackbody, white balanced to 6500 K and scaled to a largest channel of 1
+        vec3 blackbody(float temperature) {
+            const vec3 wavelength = vec3(610.0, 550.0, 465.0);
+            vec3 color = planck(wavelength, max(temperature, 800.0)) / planck(wavelength, 6500.0);
+            return color / max(color.r, max(color.g, color.b));
+        }
+
+        void main() {
+            #include <logdepthbuf_fragment>
+
+            float r = length(vDiskPosition);
+            float x = r / u_innerRadius;
+
+            // Novikov-Thorne temperature profile, zero at the inner edge
+            float profile = pow(x, -0.75) * pow(max(1.0 - inversesqrt(x), 0.0), 0.25);
+            float temperature = u_temperature * profile / PEAK_PROFILE;
+
+            // Keplerian orbit: the pattern turns as r^-3/2, the gas moves at r^-1/2
+            float turned = INNER_ANGULAR_SPEED * pow(x, -1.5) * u_time;
+            float angle = atan(vDiskPosition.y, vDiskPosition.x) - turned;
+            vec2 orbiting = vec2(cos(angle), sin(angle)) * x;
+            float beta = INNER_SPEED * inversesqrt(x);
+
+            // Doppler factor towards the camera
+            vec3 toCamera = normalize(cameraPosition - vWorldPosition);
+            float cosTheta = dot(normalize(vOrbitDirection), toCamera);
+            float gamma = inversesqrt(1.0 - beta * beta);
+            float doppler = 1.0 / (gamma * (1.0 - beta * cosTheta));
+
+            // The observed spectrum is a blackbody at the shifted temperature, and its
+            // brightness goes as the fourth power of that temperature
+            float observed = temperature * doppler;
+            float intensity = pow(observed / u_temperature, 4.0);
+
+            // Turbulent streaks carried round with the gas
+            float streaks = 0.55 + 0.9 * noise(orbiting * 6.0 + vec2(0.0, u_time * 0.05));
+            intensity *= streaks;
+
+            vec3 color = blackbody(observed) * (1.0 - exp(-2.0 * intensity));
+
+            float edge = smoothstep(u_outerRadius, u_outerRadius * 0.85, r);
+            gl_FragColor = vec4(color, edge);
+        }
+    `
+};
+
+const clamp = (value, [min, max]) => THREE.MathUtils.clamp(Number(value), min, max);
+
+/**
+ * Create the disk with `settings` (see DISK_DEFAULTS). Add `mesh` to the scene, call
+ * update(time) every frame and set() to change any of the settings.
+ */
+export function createAccretionDisk(settings = {}) {
+    const current = { ...DISK_DEFAULTS };
+
+    const uniforms = {
+        u_time: { value: 0.0 },
+        u_innerRadius: { value: current.innerRadius },
+        u_outerRadius: { value: current.outerRadius },
+        u_temperature: { value: current.temperature }
+    };
+
+    const materials = {
+        stylised: new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: StylisedDiskShader.vertexShader,
+            fragmentShader: StylisedDiskShader.fragmentShader,
+            transparent: true,
+            side: THREE.DoubleSide,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }),
+        relativistic: new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: RelativisticDiskShader.vertexShader,
+            fragmentShader: RelativisticDiskShader.fragmentShader,
+            transparent: true,
+            side: THREE.DoubleSide,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        })
+    };
+
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), materials.stylised);
+
+    function set(changes) {
+        if (changes.mode !== undefined) current.mode = DISK_MODES[changes.mode] ? changes.mode : DISK_DEFAULTS.mode;
+        if (changes.temperature !== undefined) current.temperature = clamp(changes.temperature, DISK_LIMITS.temperature);
+        if (changes.inclination !== undefined) current.inclination = clamp(changes.inclination, DISK_LIMITS.inclination);
+
+        // Moving one edge past the other pushes the other one along
+        if (changes.innerRadius !== undefined) {
+            current.innerRadius = clamp(changes.innerRadius, DISK_LIMITS.innerRadius);
+            current.outerRadius = Math.max(current.outerRadius, current.innerRadius + MIN_WIDTH);
+        }
+        if (changes.outerRadius !== undefined) {
+            current.outerRadius = clamp(changes.outerRadius, DISK_LIMITS.outerRadius);
+            current.innerRadius = Math.min(current.innerRadius, current.outerRadius - MIN_WIDTH);
+        }
+
+        if (changes.innerRadius !== undefined || changes.outerRadius !== undefined || !mesh.geometry.attributes.position) {
+            mesh.geometry.dispose();
+            mesh.geometry = new THREE.RingGeometry(current.innerRadius, current.outerRadius, RING_SEGMENTS, RING_RINGS);
+        }
+
+        mesh.material = materials[current.mode];
+        mesh.rotation.x = -THREE.MathUtils.degToRad(current.inclination);
+        uniforms.u_innerRadius.value = current.innerRadius;
+        uniforms.u_outerRadius.value = current.outerRadius;
+        uniforms.u_temperature.value = current.temperature;
+    }
+
+    set(settings);
+
+    return {
+        mesh,
+
+        // A copy of the current settings
+        get settings() {
+            return { ...current };
+        },
+
+        set,
+
+        update(time) {
+            uniforms.u_time.value = time;
+        },
+
+        // The mesh is disposed with the scene; this covers the material not in use
+        dispose() {
+            Object.values(materials).forEach(material => material.dispose());
+            mesh.geometry.dispose();
+        }
+    };
+}
@@ -1,472 +1,667 @@
 /**
  * animation.js - High-performance animation system for Einstein-Rosen bridge
  * Uses modern Three.js animation techniques with optimized rendering
+ *
+ * Each viewer gets its own loop, timing and DOM references from initAnimation.
  */
 import * as THREE from 'three';
-import { appState, sceneObjects } from './setup.js';
-
-
-// Timing variables
-const clock = new THREE.Clock();
-let deltaTime = 0;
-let elapsedTime = 0;
-let frameCount = 0;
-let lastTime = 0;
-
-// Performance monitoring
-let fpsUpdateInterval = 1000; // ms
-let lastFpsUpdate = 0;
-let fps = 0;
-
-// DOM elements cache
-let journeyProgressBar;
-let journeyPhaseText;
-let glitchEffect;
-let lensFlare;
-
-// Initialize the animation system
-export function initAnimation() {
-    // Cache DOM elements for better performance
-    journeyProgressBar = document.getElementById('journey-progress-bar');
-    journeyPhaseText = document.getElementById('journey-phase');
-    glitchEffect = document.getElementById('glitch');
-    lensFlare = document.getElementById('lens-flare');
+import { updateLensingPass } from './lensing.js';
+import { updateRaytracePass } from './raytrace.js';
+import { sampleJourney, journeyProgressAt } from './journeys.js';
+import { updateParticlePoints, updateThroatFlow } from './particles.js';
+import { XR_SHAKE_SCALE } from './xr.js';
 
-    // Start the animation loop using modern setAnimationLoop
-    sceneObjects.renderer.setAnimationLoop(animate);
-
-    // Return control functions
-    return {
-        stop: () => sceneObjects.renderer.setAnimationLoop(null),
-        resume: () => sceneObjects.renderer.setAnimationLoop(animate)
-    };
-}
 
 /**
- * Main animation loop - designed for optimal performance
- * This is where all animations are coordinated
+ * Initialize the animation system for one viewer ({ root, appState, sceneObjects, lifecycle, emit })
+ * and start its loop, which stops when the viewer is disposed. Returns { stop, resume, renderFrame }.
  */
-function animate() {
-    // Use requestAnimationFrame's timestamp for precise timing
-    const currentTime = performance.now();
-    deltaTime = Math.min((currentTime - lastTime) / 1000, 0.1); // Cap at 100ms to prevent jumps
-    lastTime = currentTime;
-    elapsedTime = clock.getElapsedTime();
-
-    // FPS counter logic
-    frameCount++;
-    if (currentTime - lastFpsUpdate > fpsUpdateInterval) {
-        fps = Math.round(frameCount / ((currentTime - lastFpsUpdate) / 1000));
-        frameCount = 0;
-        lastFpsUpdate = currentTime;
-
-        // Optional: Update FPS display if needed
-        // document.getElementById('fps-counter').textContent = `${fps} FPS`;
+export function initAnimation(viewer) {
+    const { root, appState, sceneObjects, lifecycle } = viewer;
+
+    // DOM elements cache (this viewer's shadow root)
+    const journeyProgressBar = root.getElementById('journey-progress-bar');
+    const journeyScrub = root.getElementById('journey-scrub');
+    const journeyTimeText = root.getElementById('journey-time');
+    const journeyPhaseText = root.getElementById('journey-phase');
+    const glitchEffect = root.getElementById('glitch');
+    const lensFlare = root.getElementById('lens-flare');
+    const throatDiameterText = root.getElementById('throat-diameter');
+    const exoticMatterText = root.getElementById('exotic-matter');
+    const timeDilationText = root.getElementById('time-dilation');
+    const tidalAccelerationText = root.getElementById('tidal-acceleration');
+    const frameDraggingItem = root.getElementById('frame-dragging-item');
+    const frameDraggingText = root.getElementById('frame-dragging');
+    const fpsCounter = root.getElementById('fps-counter');
+    const frameTimeText = root.getElementById('frame-time');
+    const drawCallsText = root.getElementById('draw-calls');
+    const trianglesText = root.getElementById('triangles');
+    const qualityTierText = root.getElementById('quality-tier');
+
+    // Timing variables (timeline time, which stops while paused)
+    let deltaTime = 0;
+    let elapsedTime = 0;
+    let realDeltaTime = 0; // Wall-clock delta, for interaction that should work while paused
+    let frameCount = 0;
+    let lastTime = 0;
+
+    // Performance monitoring
+    let fpsUpdateInterval = 1000; // ms
+    let lastFpsUpdate = 0;
+    let fps = 0;
+    let frameTimeTotal = 0; // ms of real frame time since the last monitor update
+
+    // Scientific readouts are refreshed at a lower rate than the render loop
+    const readoutInterval = 0.1; // seconds
+    let readoutTimer = Infinity;
+    let cameraSpeed = 0;
+    const cameraPosition = new THREE.Vector3(); // World position; in VR the camera sits in a moving rig
+    const lastCameraPosition = new THREE.Vector3();
+
+    // Reusable journey sample to avoid per-frame allocations
+    const journeySample = {
+        position: new THREE.Vector3(),
+        lookAt: new THREE.Vector3(),
+        fov: 70,
+        glitch: 0,
+        label: '',
+        segmentIndex: 0
+    };
+
+    // Frame dragging of a rotating wormhole, a turn about its axis (world z)
+    const WORMHOLE_AXIS = new THREE.Vector3(0, 0, 1);
+    const frameDragging = new THREE.Quaternion();
+
+    // A closing throat shuts this far (in progress) before the journey would reach it
+    const PINCH_MARGIN = 0.02;
+
+    /**
+     * Stop the real-time loop (used while exporting)
+     */
+    function pauseAnimationLoop() {
+        sceneObjects.renderer.setAnimationLoop(null);
     }
 
-    // Store current time in appState for external use
-    appState.time = elapsedTime;
+    /**
+     * Restart the real-time loop
+     */
+    function resumeAnimationLoop() {
+        // An export that outlives its viewer must not restart the loop
+        if (lifecycle.disposed) return;
 
-    // Different camera behavior based on mode
-    if (appState.journeyMode) {
-        updateJourneyAnimation();
-    } else {
-        updateCameraFromMouse();
+        lastTime = performance.now();
+        sceneObjects.renderer.setAnimationLoop(animate);
     }
 
-    // Update scene elements - each in its own function for better performance
-    updateWormhole();
-    updateParticleSystems();
-    updateCelestialObjects();
-    updateAccretionDisk();
+    /**
+     * Main animation loop - designed for optimal performance
+     * Measures real time, advances the timeline by it and hands both to renderFrame
+     */
+    function animate() {
+        // Use requestAnimationFrame's timestamp for precise timing
+        const currentTime = performance.now();
+        const frameDelta = Math.min((currentTime - lastTime) / 1000, 0.1); // Cap at 100ms to prevent jumps
+        lastTime = currentTime;
+
+        // The quality governor adapts the tier to the measured frame time
+        // (not in VR, where the headset sets the frame rate and the resolution)
+        if (sceneObjects.quality && !sceneObjects.xr.presenting) sceneObjects.quality.sample(frameDelta);
+
+        const timeline = appState.timeline;
+        const timelineDelta = timeline.advance(frameDelta);
+        renderFrame(timelineDelta, timeline.time, frameDelta);
+
+        // FPS counter logic
+        frameCount++;
+        frameTimeTotal += frameDelta * 1000;
+        if (currentTime - lastFpsUpdate > fpsUpdateInterval) {
+            fps = Math.round(frameCount / ((currentTime - lastFpsUpdate) / 1000));
+            updatePerformanceMonitor(fps, frameTimeTotal / frameCount);
+            frameCount = 0;
+            frameTimeTotal = 0;
+            lastFpsUpdate = currentTime;
+        }
+    }
 
-    // Advanced techniques for improved visual quality
-    updateLensFlareEffect();
+    /**
+     * Show real frame statistics; draw calls and triangles cover the whole last frame
+     */
+    function updatePerformanceMonitor(currentFps, frameTime) {
+        const info = sceneObjects.renderer.info.render;
+
+        if (fpsCounter) fpsCounter.textContent = `${currentFps} FPS`;
+        if (frameTimeText) frameTimeText.textContent = `${frameTime.toFixed(1)} ms`;
+        if (drawCallsText) drawCallsText.textContent = `${info.calls} draw calls`;
+        if (trianglesText) trianglesText.textContent = `${formatCount(info.triangles)} triangles`;
+
+        if (qualityTierText && sceneObjects.quality) {
+            const { mode, tier } = sceneObjects.quality;
+            const label = tier.charAt(0).toUpperCase() + tier.slice(1);
+            qualityTierText.textContent = mode === 'auto' ? `${label} (auto)` : label;
+        }
+    }
 
-    // Final rendering with post-processing
-    sceneObjects.composer.render();
-}
+    /**
+     * Advance every animation to `time` and render one frame.
+     * This is where all animations are coordinated; the exporter calls it with a fixed timestep.
+     * `realDelta` is the wall-clock step, which keeps camera navigation live while paused.
+     */
+    function renderFrame(frameDelta, time, realDelta = frameDelta) {
+        deltaTime = frameDelta;
+        elapsedTime = time;
+        realDeltaTime = realDelta;
+
+        // Store current time in appState for external use
+        appState.time = elapsedTime;
+
+        // The flash limit counts real (or exported video) time, whatever the timeline speed
+        appState.flashCooldown -= realDeltaTime;
+
+        // Different camera behavior based on mode: a journey, or the user's orbit rig.
+        // In VR the headset owns the camera and both of them move its rig instead.
+        // Blends run in real time so pausing does not freeze a hand-off halfway
+        const xr = sceneObjects.xr;
+        if (appState.journeyMode) {
+            updateJourneyAnimation();
+        } else if (xr.presenting) {
+            xr.followView(sceneObjects.navigation.rig.position, sceneObjects.navigation.controls.target);
+        } else {
+            sceneObjects.navigation.update(realDeltaTime);
+        }
+        if (!xr.presenting) sceneObjects.navigation.applyBlend(realDeltaTime);
+        updateSurroundings();
+
+        // Update scene elements - each in its own function for better performance
+        updateWormhole();
+        updateParticleSystems();
+        updateCelestialObjects();
+        updateAccretionDisk();
+
+        // Sound follows the frame about to be drawn (recorded instead during exports)
+        sceneObjects.soundscape.update(realDeltaTime);
+
+        // Advanced techniques for improved visual quality
+        updateLensFlareEffect();
+        updateLensing();
+        updateRaytracing();
+        updateScientificData();
+
+        // Final rendering with post-processing; in VR the scene is drawn directly
+        // in stereo, as the passes work on a single screen-space view
+        sceneObjects.renderer.info.reset();
+        if (xr.presenting) {
+            xr.applyGlitch(appState.reducedMotion ? 0 : appState.glitchIntensity);
+            sceneObjects.renderer.render(sceneObjects.scene, sceneObjects.camera);
+        } else {
+            sceneObjects.composer.render(deltaTime);
+        }
+    }
 
-/**
- * Camera movement based on mouse position
- * Enhanced with variable easing for more natural movement
- */
-function updateCameraFromMouse() {
-    // Set target position from mouse
-    appState.targetX = appState.mouseX * 0.5;
-    appState.targetY = appState.mouseY * 0.5;
+    /**
+     * Enhanced wormhole journey animation
+     * Plays the selected journey definition (see journeys.js)
+     */
+    function updateJourneyAnimation() {
+        if (!appState.journeyStarted) return;
 
-    // Calculate distance to target for variable easing
-    const distX = appState.targetX - sceneObjects.camera.position.x;
-    const distY = -appState.targetY - sceneObjects.camera.position.y;
+        const track = sceneObjects.journeyTrack;
+        const camera = sceneObjects.camera;
 
-    // Variable easing based on distance (faster for larger movements)
-    const easeFactorX = 0.05 + 0.1 * Math.min(1, Math.abs(distX) / 50);
-    const easeFactorY = 0.05 + 0.1 * Math.min(1, Math.abs(distY) / 50);
+        // Progress is a function of time since the journey started, so seeking is exact
+        const journeyTime = elapsedTime - appState.journeyStartTime;
+        appState.journeyProgress = journeyProgressAt(track, journeyTime);
 
-    // Apply smooth movement
-    sceneObjects.camera.position.x += distX * easeFactorX;
-    sceneObjects.camera.position.y += distY * easeFactorY;
+        // Journey Complete
+        if (appState.journeyProgress >= 1.0) {
+            completeJourney();
+            return;
+        }
 
-    // Maintain look at center
-    sceneObjects.camera.lookAt(sceneObjects.scene.position);
-}
+        // The wormhole type's rules: a throat may close before the camera gets there
+        const wormhole = sceneObjects.wormhole;
+        const rules = wormhole.getTypeDefinition().journey || {};
+        let pinch = 0;
+        if (rules.pinchOff && track.throatCrossing !== null) {
+            const pinchEnd = track.throatCrossing - PINCH_MARGIN;
+            pinch = THREE.MathUtils.smoothstep(appState.journeyProgress, pinchEnd - rules.pinchOff.lead, pinchEnd);
+
+            if (appState.journeyProgress >= pinchEnd) {
+                completeJourney(rules.pinchOff.message);
+                return;
+            }
+        }
+        wormhole.setPinch(pinch);
+
+        const xr = sceneObjects.xr;
+        const shakeScale = appState.reducedMotion ? 0 : xr.presenting ? XR_SHAKE_SCALE : 1;
+        sampleJourney(track, appState.journeyProgress, journeyTime, journeySample, { shakeScale });
+        journeySample.glitch = Math.max(journeySample.glitch, pinch);
+
+        // ...or drag the camera round its axis, mostly within a throat radius or two of it
+        if (rules.frameDragging) {
+            const angle = rules.frameDragging * 0.5 * (1 + Math.tanh(-journeySample.position.z / wormhole.getShape().throatRadius));
+            frameDragging.setFromAxisAngle(WORMHOLE_AXIS, angle);
+            journeySample.position.applyQuaternion(frameDragging);
+            journeySample.lookAt.applyQuaternion(frameDragging);
+        }
 
-/**
- * Enhanced wormhole journey animation
- * Cinematic camera movement with varying effects
- */
-function updateJourneyAnimation() {
-    if (!appState.journeyStarted) return;
-
-    // Variable speed progression for more natural movement
-    const progressSpeed = 0.004 * (1.0 + Math.sin(elapsedTime * 0.5) * 0.1);
-    appState.journeyProgress += progressSpeed;
-
-    // Get camera reference
-    const camera = sceneObjects.camera;
-
-    // Phase 1: Approach (0.0 - 1.0)
-    if (appState.journeyProgress < 1.0) {
-        // Smooth approach to wormhole
-        camera.position.z = 1500 - appState.journeyProgress * 1000;
-
-        // Graceful camera movement that decreases as we get closer
-        const approachFactor = 1 - appState.journeyProgress;
-        const wobbleAmount = 30 * Math.pow(approachFactor, 1.5);
-        camera.position.x = Math.sin(appState.journeyProgress * Math.PI * 2 + elapsedTime * 0.5) * wobbleAmount;
-        camera.position.y = Math.cos(appState.journeyProgress * Math.PI * 2 + elapsedTime * 0.7) * wobbleAmount;
-
-        // Gradually increase glitch effect
-        const glitchIntensity = appState.journeyProgress * 0.3;
-        glitchEffect.style.opacity = glitchIntensity;
-        appState.glitchIntensity = glitchIntensity;
-
-        // Update UI indicators
-        updateJourneyUI(appState.journeyProgress * 33, "Approaching Wormhole");
-    }
-    // Phase 2: Throat Passage (1.0 - 2.0)
-    else if (appState.journeyProgress < 2.0) {
-        const throatProgress = appState.journeyProgress - 1.0;
-        camera.position.z = 500 - throatProgress * 1000;
-
-        // Calculate throat center position (0.5 = exact center)
-        const distFromCenter = Math.abs(throatProgress - 0.5);
-        const centerIntensity = 1 - distFromCenter * 2; // 1.0 at center, 0.0 at edges
-
-        // More intense effects at the throat center
-        const shakeAmount = 50 * centerIntensity;
-        const shakeSpeed = 5 + centerIntensity * 10;
-
-        // Apply dynamic camera shake
-        camera.position.x = Math.sin(throatProgress * Math.PI * 10 + elapsedTime * shakeSpeed) * shakeAmount;
-        camera.position.y = Math.cos(throatProgress * Math.PI * 10 + elapsedTime * shakeSpeed * 1.3) * shakeAmount;
-
-        // Peak glitch effect at throat center
-        const glitchIntensity = 0.3 + centerIntensity * 0.7;
-        glitchEffect.style.opacity = glitchIntensity;
-        appState.glitchIntensity = glitchIntensity;
-
-        // Update UI with appropriate phase text
-        const phaseText = throatProgress < 0.5 ? "Entering Wormhole Throat" : "Spacetime Compression";
-        updateJourneyUI(33 + throatProgress * 33, phaseText);
-    }
-    // Phase 3: Exit (2.0 - 3.0)
-    else if (appState.journeyProgress < 3.0) {
-        const exitProgress = appState.journeyProgress - 2.0;
-        camera.position.z = -500 - exitProgress * 1000;
+        // A headset looks wherever the user looks, with its own field of view
+        if (xr.presenting) {
+            xr.followJourney(journeySample);
+        } else {
+            camera.position.copy(journeySample.position);
+            camera.lookAt(journeySample.lookAt);
 
-        // Gradually decrease effects as we exit
-        const exitFactor = 1 - exitProgress;
-        const shakeAmount = 20 * Math.pow(exitFactor, 2);
+            // The dragged frame rolls the view with it
+            if (rules.frameDragging) camera.quaternion.premultiply(frameDragging);
 
-        // Smoother exit shake
-        camera.position.x = Math.sin(exitProgress * Math.PI * 5 + elapsedTime * 3) * shakeAmount;
-        camera.position.y = Math.cos(exitProgress * Math.PI * 5 + elapsedTime * 3) * shakeAmount;
+            if (camera.fov !== journeySample.fov) {
+                camera.fov = journeySample.fov;
+                camera.updateProjectionMatrix();
+            }
+        }
 
-        // Fade out glitch effect
-        const glitchIntensity = 0.3 * Math.pow(exitFactor, 2);
-        glitchEffect.style.opacity = glitchIntensity;
-        appState.glitchIntensity = glitchIntensity;
+        glitchEffect.style.opacity = journeySample.glitch;
+        appState.glitchIntensity = journeySample.glitch;
 
-        // Update UI
-        updateJourneyUI(66 + exitProgress * 34, "Exiting Wormhole");
-    }
-    // Journey Complete
-    else {
-        completeJourney();
+        if (journeySample.label !== appState.journeyPhase) {
+            appState.journeyPhase = journeySample.label;
+            viewer.emit('phasechange', {
+                journey: appState.journeyId,
+                phase: journeySample.label,
+                progress: appState.journeyProgress
+            });
+        }
+
+        updateJourneyUI(appState.journeyProgress, journeySample.label, journeyTime, track.playTime);
     }
 
-    // Always look at the center
-    camera.lookAt(0, 0, 0);
-}
+    /**
+     * Which universe the camera is in: an inter-universe journey arrives in the far
+     * one at its exit phase, and everywhere else we stay in ours
+     */
+    function updateSurroundings() {
+        const definition = sceneObjects.wormhole.getTypeDefinition();
+        const far = Boolean(definition.exitUniverse) && appState.journeyMode && appState.journeyStarted &&
+            journeySample.segmentIndex >= sceneObjects.journeyTrack.exitSegment;
 
-/**
- * Update journey UI elements
- */
-function updateJourneyUI(progress, phaseText) {
-    if (journeyProgressBar) {
-        journeyProgressBar.style.width = `${progress}%`;
-    }
+        sceneObjects.nearUniverse.visible = !far;
+        sceneObjects.farUniverse.visible = far;
 
-    if (journeyPhaseText) {
-        journeyPhaseText.textContent = phaseText;
+        // Once through, the portal would only show the sky around us again
+        sceneObjects.wormhole.exitUniverse.visible = Boolean(definition.exitUniverse) && !far;
     }
-}
 
-/**
- * Handle journey completion
- */
-function completeJourney() {
-    // Reset journey state
-    appState.journeyMode = false;
-    appState.journeyStarted = false;
-
-    // Update UI
-    const journeyBtn = document.getElementById('journey-btn');
-    if (journeyBtn) journeyBtn.textContent = "Begin Journey";
-    if (glitchEffect) glitchEffect.style.opacity = 0;
-    appState.glitchIntensity = 0;
-
-    // Hide progress bar
-    document.getElementById('journey-progress').style.opacity = 0;
-
-    // Show completion message
-    const hintElement = document.getElementById('hint-1');
-    if (hintElement) {
-        hintElement.textContent = "Journey complete! Click journey button to travel again.";
-        hintElement.style.opacity = 1;
-        setTimeout(() => {
-            hintElement.style.opacity = 0;
-        }, 5000);
+    /**
+     * Update journey UI elements
+     */
+    function updateJourneyUI(progress, phaseText, journeyTime, playTime) {
+        if (journeyProgressBar) {
+            journeyProgressBar.style.width = `${progress * 100}%`;
+        }
+
+        // Leave the handle alone while it is being dragged
+        if (journeyScrub && !appState.scrubbing) {
+            journeyScrub.value = Math.round(progress * Number(journeyScrub.max));
+        }
+
+        if (journeyTimeText) {
+            journeyTimeText.textContent = `${journeyTime.toFixed(1)} s / ${playTime.toFixed(1)} s`;
+        }
+
+        if (journeyPhaseText) {
+            journeyPhaseText.textContent = phaseText;
+        }
     }
 
-    // Return to original position with a delay
-    setTimeout(() => {
-        if (sceneObjects.camera.userData.originalPosition) {
-            sceneObjects.camera.position.set(
-                sceneObjects.camera.userData.originalPosition.x,
-                sceneObjects.camera.userData.originalPosition.y,
-                sceneObjects.camera.userData.originalPosition.z
-            );
+    /**
+     * Handle journey completion; `message` explains a journey the wormhole cut short
+     */
+    function completeJourney(message) {
+        // Reset journey state
+        appState.journeyMode = false;
+        appState.journeyStarted = false;
+        appState.journeyPhase = '';
+        viewer.emit('journeycomplete', { journey: appState.journeyId, message });
+
+        // Update UI
+        const journeyBtn = root.getElementById('journey-btn');
+        if (journeyBtn) journeyBtn.textContent = "Begin Journey";
+        if (glitchEffect) glitchEffect.style.opacity = 0;
+        appState.glitchIntensity = 0;
+
+        // Hide progress bar
+        root.getElementById('journey-progress').classList.remove('active');
+
+        // Show completion message
+        const hintElement = root.getElementById('hint-1');
+        if (hintElement) {
+            hintElement.textContent = message || "Journey complete! Click journey button to travel again.";
+            hintElement.style.opacity = 1;
+            lifecycle.setTimeout(() => {
+                hintElement.style.opacity = 0;
+            }, 5000);
         }
-    }, 1000);
-}
 
-/**
- * Wormhole animation - carefully optimized
- * Based on the wormhole in search result [6]
- */
-function updateWormhole() {
-    const wormhole = sceneObjects.wormhole;
-    if (!wormhole || !wormhole.mesh) return;
+        // Ease back to where the user left the camera
+        sceneObjects.navigation.setEnabled(true);
+        sceneObjects.navigation.startBlend();
+    }
 
-    // Get time for animations
-    const time = appState.time;
+    /**
+     * Wormhole animation - carefully optimized
+     * Based on the wormhole in search result [6]
+     */
+    function updateWormhole() {
+        const wormhole = sceneObjects.wormhole;
+        if (!wormhole || !wormhole.mesh) return;
 
-    // Slow, majestic rotation (reduced from original)
-    wormhole.mesh.rotation.z += 0.0004;
+        // Get time for animations
+        const time = appState.time;
 
-    // Apply optimized animations to inner meshes
-    if (wormhole.innerMesh1 && wormhole.innerMesh2) {
-        // More subtle pulsing for inner meshes
-        const pulseFactor1 = 0.015 * Math.sin(time * 1.5);
-        const pulseFactor2 = 0.022 * Math.sin(time * 1.2 + 1);
+        const shape = wormhole.getShape();
+        const palette = wormhole.getTypeDefinition().palette;
 
-        wormhole.innerMesh1.scale.x = 0.95 + pulseFactor1;
-        wormhole.innerMesh1.scale.z = 0.95 + pulseFactor1;
+        // Only journeys close a throat; it opens again once they end
+        if (!appState.journeyMode) wormhole.setPinch(0);
 
-        wormhole.innerMesh2.scale.x = 0.90 + pulseFactor2;
-        wormhole.innerMesh2.scale.z = 0.90 + pulseFactor2;
+        // Slow, majestic rotation (reduced from original), faster for a spinning throat
+        // Rotations are functions of time so fixed-step exports are reproducible
+        wormhole.mesh.rotation.z = time * 0.024 * (1 + 20 * shape.spin);
 
-        // Slower rotation for better visual quality
-        wormhole.innerMesh1.rotation.y += 0.002;
-        wormhole.innerMesh2.rotation.y -= 0.003;
-    }
+        // Apply optimized animations to inner meshes
+        if (wormhole.innerMesh1 && wormhole.innerMesh2) {
+            // More subtle pulsing for inner meshes
+            const pulseFactor1 = 0.015 * Math.sin(time * 1.5);
+            const pulseFactor2 = 0.022 * Math.sin(time * 1.2 + 1);
 
-    // Material opacity animations
-    if (wormhole.outermostMaterial) {
-        wormhole.outermostMaterial.opacity = 0.3 + 0.1 * Math.sin(time * 0.8);
-    }
+            wormhole.innerMesh1.scale.x = 0.95 + pulseFactor1;
+            wormhole.innerMesh1.scale.z = 0.95 + pulseFactor1;
 
-    if (wormhole.outerMaterial) {
-        wormhole.outerMaterial.opacity = 0.6 + 0.1 * Math.sin(time * 1.2);
-    }
+            wormhole.innerMesh2.scale.x = 0.90 + pulseFactor2;
+            wormhole.innerMesh2.scale.z = 0.90 + pulseFactor2;
 
-    if (wormhole.innerMaterial) {
-        wormhole.innerMaterial.opacity = 0.8 + 0.15 * Math.sin(time * 1.5);
-    }
+            // Slower rotation for better visual quality
+            wormhole.innerMesh1.rotation.y = time * 0.12;
+            wormhole.innerMesh2.rotation.y = -time * 0.18;
+        }
 
-    // Event horizon animation
-    if (wormhole.eventHorizon) {
-        wormhole.eventHorizon.rotation.z += 0.007;
-        wormhole.eventHorizon.material.opacity = 0.4 + 0.2 * Math.sin(time * 2);
-    }
+        // Material opacity animations
+        if (wormhole.outermostMaterial) {
+            wormhole.outermostMaterial.opacity = 0.3 + 0.1 * Math.sin(time * 0.8);
+        }
 
-    // Color shifts (subtle)
-    const hue1 = ((time * 0.03) % 1) * 0.1 + 0.5; // Stay in blue range
-    const hue2 = ((time * 0.02) % 1) * 0.1 + 0.6; // Stay in blue-cyan range
+        if (wormhole.outerMaterial) {
+            wormhole.outerMaterial.opacity = 0.6 + 0.1 * Math.sin(time * 1.2);
+        }
 
-    if (wormhole.outermostMaterial) {
-        wormhole.outermostMaterial.color.setHSL(hue1, 0.8, 0.6);
-    }
+        if (wormhole.innerMaterial) {
+            wormhole.innerMaterial.opacity = 0.8 + 0.15 * Math.sin(time * 1.5);
+        }
 
-    if (wormhole.innerMaterial) {
-        wormhole.innerMaterial.color.setHSL(hue2, 0.9, 0.7);
-    }
+        // Event horizon animation
+        if (wormhole.eventHorizon) {
+            wormhole.eventHorizon.rotation.z = time * 0.42;
+            wormhole.eventHorizon.material.opacity = 0.4 + 0.2 * Math.sin(time * 2);
+        }
+
+        // Color shifts (subtle)
+        const hue1 = ((time * 0.03) % 1) * 0.1 + palette.hue; // Stay in the type's range (blue by default)
+        const hue2 = ((time * 0.02) % 1) * 0.1 + palette.hue + 0.1;
+
+        if (wormhole.outermostMaterial) {
+            wormhole.outermostMaterial.color.setHSL(hue1, 0.8, 0.6);
+        }
+
+        if (wormhole.innerMaterial) {
+            wormhole.innerMaterial.color.setHSL(hue2, 0.9, 0.7);
+        }
 
-    // Reduced number of active rings (as requested)
-    if (wormhole.rings && wormhole.rings.length > 0) {
-        // Only show 3 rings at a time for better performance
-        const activeRingCount = Math.min(3, wormhole.rings.length);
-
-        // Determine which rings to show based on a cycling pattern
-        const ringOffset = Math.floor(time * 0.2) % wormhole.rings.length;
-
-        // Update all rings
-        for (let i = 0; i < wormhole.rings.length; i++) {
-            const ring = wormhole.rings[i];
-            if (!ring) continue;
-
-            // Calculate if this ring should be active in the current cycle
-            const isActive = (i + ringOffset) % wormhole.rings.length < activeRingCount;
-            ring.visible = isActive;
-
-            // Only animate visible rings (performance optimization)
-            if (isActive) {
-                // Subtle pulsing animation
-                const pulseSpeed = ring.userData.pulseSpeed || 0.5;
-                const pulsePhase = ring.userData.pulsePhase || 0;
-                const pulse = Math.sin(time * pulseSpeed + pulsePhase);
-
-                // Subtle scale changes
-                ring.scale.set(
-                    1 + pulse * 0.05,
-                    1,
-                    1 + pulse * 0.05
-                );
-
-                // Smooth opacity changes
-                ring.material.opacity = 0.2 + 0.15 * Math.abs(pulse);
-
-                // Gentle movement along wormhole
-                if (ring.userData.originalY !== undefined) {
-                    ring.position.y = ring.userData.originalY +
-                        Math.sin(time * 0.25 + pulsePhase) * 8;
+        // Reduced number of active rings (as requested)
+        if (wormhole.rings && wormhole.rings.length > 0) {
+            // Only show 3 rings at a time for better performance
+            const activeRingCount = Math.min(3, wormhole.rings.length);
+
+            // Determine which rings to show based on a cycling pattern
+            const ringOffset = Math.floor(time * 0.2) % wormhole.rings.length;
+
+            // Update all rings
+            for (let i = 0; i < wormhole.rings.length; i++) {
+                const ring = wormhole.rings[i];
+                if (!ring) continue;
+
+                // Calculate if this ring should be active in the current cycle
+                const isActive = (i + ringOffset) % wormhole.rings.length < activeRingCount;
+                ring.visible = isActive;
+
+                // Only animate visible rings (performance optimization)
+                if (isActive) {
+                    // Subtle pulsing animation
+                    const pulseSpeed = ring.userData.pulseSpeed || 0.5;
+                    const pulsePhase = ring.userData.pulsePhase || 0;
+                    const pulse = Math.sin(time * pulseSpeed + pulsePhase);
+
+                    // Subtle scale changes around the local surface radius
+                    const ringScale = (ring.userData.baseScale || 1) * (1 + pulse * 0.05);
+                    ring.scale.set(ringScale, ringScale, 1);
+
+                    // Smooth opacity changes
+                    ring.material.opacity = 0.2 + 0.15 * Math.abs(pulse);
+
+                    // Gentle movement along wormhole
+                    if (ring.userData.originalY !== undefined) {
+                        ring.position.y = ring.userData.originalY +
+                            Math.sin(time * 0.25 + pulsePhase) * 8;
+                    }
                 }
             }
         }
+
+        // Animate entrance barrier (if visible)
+        if (wormhole.entranceBarrier && wormhole.entranceBarrier.visible) {
+            wormhole.entranceBarrier.rotation.z = time * 0.6;
+            wormhole.entranceBarrier.material.opacity = 0.5 + 0.3 * Math.sin(time * 1.2);
+        }
+
+        // Animate exit universe (if visible)
+        if (wormhole.exitUniverse && wormhole.exitUniverse.visible) {
+            wormhole.exitUniverse.rotation.z = -time * 0.36;
+            const pulseFactor = 0.06 * Math.sin(time * 0.7);
+            wormhole.exitUniverse.scale.set(
+                1 + pulseFactor,
+                1,
+                1 + pulseFactor
+            );
+        }
     }
 
-    // Animate entrance barrier (if visible)
-    if (wormhole.entranceBarrier && wormhole.entranceBarrier.visible) {
-        wormhole.entranceBarrier.rotation.z += 0.01;
-        wormhole.entranceBarrier.material.opacity = 0.5 + 0.3 * Math.sin(time * 1.2);
+    /**
+     * Animate the accretion disk
+     */
+    function updateAccretionDisk() {
+        if (sceneObjects.accretionDisk) sceneObjects.accretionDisk.update(elapsedTime);
     }
 
-    // Animate exit universe (if visible)
-    if (wormhole.exitUniverse && wormhole.exitUniverse.visible) {
-        wormhole.exitUniverse.rotation.z -= 0.006;
-        const pulseFactor = 0.06 * Math.sin(time * 0.7);
-        wormhole.exitUniverse.scale.set(
-            1 + pulseFactor,
-            1,
-            1 + pulseFactor
-        );
+    /**
+     * Keep the lensing pass centred on the throat as the camera moves
+     */
+    function updateLensing() {
+        if (appState.renderMode !== 'wireframe' || appState.projection !== 'standard' || sceneObjects.xr.presenting) return;
+
+        if (sceneObjects.lensingPass && sceneObjects.wormhole) {
+            updateLensingPass(sceneObjects.lensingPass, sceneObjects.camera, sceneObjects.wormhole);
+        }
     }
-}
 
-/**
- * Animate the accretion disk
- */
-function updateAccretionDisk() {
-    const disk = sceneObjects.accretionDisk;
-    if (disk && disk.material.uniforms.u_time) {
-        disk.material.uniforms.u_time.value = elapsedTime;
+    /**
+     * Drive the ray-traced view from the same camera and distortion state
+     */
+    function updateRaytracing() {
+        if (appState.renderMode !== 'raytraced' || sceneObjects.xr.presenting) return;
+
+        if (sceneObjects.raytracePass && sceneObjects.wormhole) {
+            updateRaytracePass(sceneObjects.raytracePass, sceneObjects.camera, sceneObjects.wormhole.getShape());
+        }
     }
-}
 
-/**
- * Optimized particle systems animation
- * Using smooth motion patterns with layered oscillation
- */
-function updateParticleSystems() {
-    const systems = sceneObjects.particleSystems;
-    if (!systems || !systems.length) return;
+    /**
+     * Live Scientific Data panel, evaluated from the metric at the camera position
+     */
+    function updateScientificData() {
+        const wormhole = sceneObjects.wormhole;
+        if (!wormhole) return;
 
-    const time = appState.time;
+        sceneObjects.camera.getWorldPosition(cameraPosition);
 
-    systems.forEach(system => {
-        if (!system || !system.geometry || !system.geometry.attributes.position) return;
+        // Smoothed camera speed feeds the lateral tidal term (a seek is a jump, not a speed)
+        if (deltaTime > 0) {
+            const instantSpeed = cameraPosition.distanceTo(lastCameraPosition) / deltaTime;
+            cameraSpeed += (instantSpeed - cameraSpeed) * 0.1;
+        }
+        lastCameraPosition.copy(cameraPosition);
+
+        // Counted in real time so the panel keeps up with a paused, scrubbed scene
+        readoutTimer += realDeltaTime;
+        if (readoutTimer < readoutInterval) return;
+        readoutTimer = 0;
+
+        // Each wormhole type has its own model (see wormholes.js)
+        const readouts = wormhole.getTypeDefinition().readouts(wormhole.getShape(), cameraPosition, cameraSpeed);
+        const throatDiameter = `${Math.round(readouts.throatRadius * 2 / 1000)} km`;
+        const exoticMatter = `${formatScientific(readouts.exoticEnergyDensity)} J/m³`;
+        const timeDilation = Number.isFinite(readouts.timeDilation) ? readouts.timeDilation.toFixed(2) + "x" : "∞"; // At a horizon
+        const tidalAcceleration = `${formatScientific(readouts.tidalAcceleration)} g`;
+        const dragging = readouts.frameDragging !== undefined ? `${formatScientific(readouts.frameDragging)} rad/s` : null;
+
+        if (throatDiameterText) throatDiameterText.textContent = throatDiameter;
+        if (exoticMatterText) exoticMatterText.textContent = exoticMatter;
+        if (timeDilationText) timeDilationText.textContent = timeDilation;
+        if (tidalAccelerationText) tidalAccelerationText.textContent = tidalAcceleration;
+        if (frameDraggingItem) frameDraggingItem.hidden = !dragging;
+        if (frameDraggingText && dragging) frameDraggingText.textContent = dragging;
+
+        const readoutList = [
+            ["Throat Diameter", throatDiameter],
+            ["Exotic Matter", exoticMatter],
+            ["Time Dilation", timeDilation],
+            ["Tidal Acceleration", tidalAcceleration]
+        ];
+        if (dragging) readoutList.push(["Frame Dragging", dragging]);
+        viewer.announcer.setReadouts(readoutList);
+
+        // The headset cannot see the page, so the same readouts go on its HUD
+        if (sceneObjects.xr.presenting) {
+            sceneObjects.xr.updateHud({
+                phase: appState.journeyMode ? appState.journeyPhase : '',
+                progress: appState.journeyProgress,
+                readouts: readoutList
+            });
+        }
+    }
 
-        const positions = system.geometry.attributes.position.array;
-        const originalPositions = system.userData.originalPositions;
-        const velocities = system.userData.velocities;
+    /**
+     * Particle systems animation
+     * Motion is computed in the vertex shader; only the time uniform changes per frame
+     */
+    function updateParticleSystems() {
+        const systems = sceneObjects.particleSystems;
+        const wormhole = sceneObjects.wormhole;
+        if (!systems || !systems.length || !wormhole) return;
+
+        const flowMode = appState.particleMode === 'flow';
+
+        systems.forEach(system => {
+            // The throat stream replaces the ambient flow cloud in flow mode
+            if (system.userData.kind === 'throat') {
+                system.visible = flowMode;
+                if (flowMode) updateThroatFlow(system, wormhole.getProfile(), wormhole.getShape(), wormhole.getTypeDefinition());
+            } else if (system.userData.kind === 'ambient') {
+                system.visible = !flowMode;
+            }
 
-        if (!positions || !originalPositions || !velocities) return;
+            if (system.visible) updateParticlePoints(system, appState.time);
+        });
+    }
 
-        const count = originalPositions.length / 3;
+    /**
+     * Update celestial objects with smooth rotations
+     */
+    function updateCelestialObjects() {
+        if (!sceneObjects.scene) return;
 
-        // Update all particles with improved motion patterns
-        for (let i = 0; i < count; i++) {
-            const i3 = i * 3;
+        sceneObjects.scene.traverse(object => {
+            if (!object.userData) return;
 
-            // Layer multiple oscillations for more organic movement
-            // This creates the appearance of particles flowing toward/around the wormhole
-            const flowFactor = 0.2 + 0.8 * Math.sin(time * 0.1 + i * 0.01);
-            const baseOscillation = 3 + flowFactor * 2;
+            // Time-based rotation for consistent speed regardless of framerate
+            // (speeds are per 60 Hz frame, the rate they were tuned at)
+            const rotationAmount = object.userData.rotationSpeed * elapsedTime * 60;
 
-            // X position - horizontal movement
-            positions[i3] = originalPositions[i3] +
-                Math.sin(time * velocities[i3] + i * 0.1) * baseOscillation;
+            // Animate planets with custom rotation axes
+            if (object.userData.rotationSpeed && object.userData.rotationAxis) {
+                if (!object.userData.baseQuaternion) {
+                    object.userData.baseQuaternion = object.quaternion.clone();
+                }
+                object.quaternion.setFromAxisAngle(object.userData.rotationAxis, rotationAmount)
+                    .premultiply(object.userData.baseQuaternion);
+            }
+            // Animate galaxies and other celestial objects
+            else if (object.userData.rotationSpeed) {
+                if (object.userData.baseRotationZ === undefined) {
+                    object.userData.baseRotationZ = object.rotation.z;
+                }
+                object.rotation.z = object.userData.baseRotationZ + rotationAmount;
+            }
+        });
+    }
 
-            // Y position - vertical movement with different phase
-            positions[i3 + 1] = originalPositions[i3 + 1] +
-                Math.cos(time * velocities[i3 + 1] + i * 0.1) * baseOscillation;
+    /**
+     * Enhanced lens flare effect
+     */
+    function updateLensFlareEffect() {
+        if (!lensFlare) return;
 
-            // Z position - depth movement with third phase
-            positions[i3 + 2] = originalPositions[i3 + 2] +
-                Math.sin(time * velocities[i3 + 2] + i * 0.1 + Math.PI/2) * baseOscillation;
-        }
+        // Make lens flare subtly pulse with time around the brightness set by the mouse
+        const baseBrightness = parseFloat(lensFlare.dataset.brightness) || 0;
+        const pulseAmount = baseBrightness > 0 && !appState.reducedMotion ? 0.1 * Math.sin(elapsedTime * 2) : 0;
+        lensFlare.style.opacity = Math.max(0, Math.min(1, baseBrightness + pulseAmount));
+    }
 
-        // Flag for GPU update
-        system.geometry.attributes.position.needsUpdate = true;
-    });
+    // Start the animation loop using modern setAnimationLoop
+    sceneObjects.camera.getWorldPosition(lastCameraPosition);
+    resumeAnimationLoop();
+    lifecycle.onDispose(pauseAnimationLoop);
+
+    // Return control functions
+    return {
+        stop: pauseAnimationLoop,
+        resume: resumeAnimationLoop,
+        renderFrame
+    };
 }
 
 /**
- * Update celestial objects with smooth rotations
+ * Compact counts: 950, 12.3k, 1.2M
  */
-function updateCelestialObjects() {
-    if (!sceneObjects.scene) return;
-
-    sceneObjects.scene.traverse(object => {
-        if (!object.userData) return;
-
-        // Animate planets with custom rotation axes
-        if (object.userData.rotationSpeed && object.userData.rotationAxis) {
-            // Time-based rotation for consistent speed regardless of framerate
-            const rotationAmount = object.userData.rotationSpeed * deltaTime * 60;
-            object.rotateOnAxis(object.userData.rotationAxis, rotationAmount);
-        }
-        // Animate galaxies and other celestial objects
-        else if (object.userData.rotationSpeed) {
-            object.rotation.z += object.userData.rotationSpeed * deltaTime * 60;
-        }
-    });
+function formatCount(value) {
+    if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e4) return `${(value / 1e3).toFixed(1)}k`;
+    return String(value);
 }
 
 /**
- * Enhanced lens flare effect
+ * Format a number as "-2.8 × 10³²", falling back to plain notation for everyday magnitudes
  */
-function updateLensFlareEffect() {
-    if (!lensFlare) return;
-
-    // Make lens flare subtly pulse with time
-    const baseBrightness = parseFloat(lensFlare.style.opacity) || 0;
-    if (baseBrightness > 0) {
-        const pulseAmount = 0.1 * Math.sin(elapsedTime * 2);
-        const newBrightness = Math.max(0, Math.min(1, baseBrightness + pulseAmount));
-        lensFlare.style.opacity = newBrightness;
-    }
+function formatScientific(value) {
+    if (!Number.isFinite(value)) return value < 0 ? "-∞" : "∞"; // At a horizon
+    const magnitude = Math.abs(value);
+    if (magnitude === 0) return "0";
+    if (magnitude >= 0.01 && magnitude < 10000) return String(Number(value.toPrecision(3)));
+
+    const superscripts = { '-': '⁻', '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹' };
+
+    // Rounded first, so 9.96e-5 becomes 1.0 × 10⁻⁴ rather than 10.0 × 10⁻⁵
+    const [mantissa, exponent] = value.toExponential(1).split('e');
+    const exponentText = String(Number(exponent)).split('').map(c => superscripts[c]).join('');
+
+    return `${mantissa} × 10${exponentText}`;
 }
@@ -0,0 +1,379 @@
+/**
+ * audio.js - Procedural soundscape driven by the journey, the distortion and the throat
+ *
+ * Four voices, all generated (no audio assets):
+ *   drone    detuned oscillators under a breathing low-pass that opens as a journey progresses
+ *   rumble   brown noise and a sub tone from the throat's direction, growing as the camera nears it
+ *   whoosh   band-passed noise from the nearest ring, Doppler-shifted as the camera flies past
+ *   crackle  sparse clicks following appState.glitchIntensity
+ *
+ * Each rendered frame is measured into a plain object of voice parameters. Live, the
+ * parameters are applied to an AudioContext as they are measured. During an export,
+ * they are recorded and replayed into an OfflineAudioContext at the frames' exact
+ * times, so the soundtrack lines up with the fixed-step video.
+ */
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+export const AUDIO_SAMPLE_RATE = 48000;
+
+// Seconds of generated noise, looped
+const NOISE_SECONDS = 4;
+
+// Time constant for parameter changes, so per-frame updates never click
+const SMOOTHING = 0.05;
+
+// Peak level of each voice
+const LEVELS = { drone: 0.14, rumble: 0.5, whoosh: 0.35, crackle: 0.25 };
+
+const DRONE_ROOT = 55; // Hz
+const DRONE_RATIOS = [1, 1.5, 2.01]; // Root, fifth and a slightly sharp octave
+const WHOOSH_FREQUENCY = 900; // Hz, centre of a stationary whoosh
+const RING_REACH = 250; // Units from a ring at which its whoosh fades out
+const SOUND_SPEED = 900; // Units per second; notional, tuned for an audible shift at journey speeds
+
+// Remembered between visits
+const AUDIO_SETTINGS_KEY = 'wormhole-audio';
+
+export function readAudioSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY));
+        return {
+            volume: THREE.MathUtils.clamp(Number(settings.volume) || 0, 0, 1),
+            muted: Boolean(settings.muted)
+        };
+    } catch (error) {
+        return { volume: 0.6, muted: false }; // Nothing stored, or storage is blocked
+    }
+}
+
+function storeAudioSettings(settings) {
+    try {
+        localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        // Not persisted; the choice still applies to this visit
+    }
+}
+
+/**
+ * A few seconds of seeded noise: 'white', 'brown' (integrated, for rumble) or 'crackle'
+ */
+function createNoiseBuffer(context, random, kind) {
+    const length = NOISE_SECONDS * context.sampleRate;
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    let brown = 0;
+    let crackle = 0;
+    for (let i = 0; i < length; i++) {
+        const white = random() * 2 - 1;
+
+        if (kind === 'brown') {
+            brown = (brown + 0.02 * white) / 1.02;
+            data[i] = brown * 3.5;
+        } else if (kind === 'crackle') {
+            // Sparse clicks with short decaying tails
+            if (random() < 0.002) crackle = 0.5 + random() * 0.5;
+            crackle *= 0.93;
+            data[i] = white * crackle;
+        } else {
+            data[i] = white;
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Build the voice graph on any audio context (live or offline). Gains start at zero.
+ */
+function createVoices(context, seed) {
+    const random = createRandom(seed, 'audio');
+    const sources = [];
+
+    const loop = (kind) => {
+        const source = new AudioBufferSourceNode(context, { buffer: createNoiseBuffer(context, random, kind), loop: true });
+        sources.push(source);
+        return source;
+    };
+    const oscillator = (type, frequency) => {
+        const source = new OscillatorNode(context, { type, frequency });
+        sources.push(source);
+        return source;
+    };
+    // Levels are set by the gains, so the panners only place the sound
+    const panner = () => new PannerNode(context, { panningModel: 'HRTF', distanceModel: 'inverse', rolloffFactor: 0 });
+
+    const master = new GainNode(context, { gain: 1 });
+    master.connect(new DynamicsCompressorNode(context)).connect(context.destination);
+
+    // Drone, breathing through a slow filter sweep
+    const droneFilter = new BiquadFilterNode(context, { type: 'lowpass', frequency: 400, Q: 4 });
+    const droneGain = new GainNode(context, { gain: 0 });
+    const droneOscillators = DRONE_RATIOS.map((ratio, i) => oscillator(i < 2 ? 'sawtooth' : 'sine', DRONE_ROOT * ratio));
+    droneOscillators.forEach(source => source.connect(droneFilter));
+    droneFilter.connect(droneGain).connect(master);
+    oscillator('sine', 0.07).connect(new GainNode(context, { gain: 120 })).connect(droneFilter.frequency);
+
+    // Rumble from the throat
+    const rumbleGain = new GainNode(context, { gain: 0 });
+    const rumblePanner = panner();
+    loop('brown').connect(new BiquadFilterNode(context, { type: 'lowpass', frequency: 140 })).connect(rumbleGain);
+    oscillator('sine', 32).connect(new GainNode(context, { gain: 0.6 })).connect(rumbleGain);
+    rumbleGain.connect(rumblePanner).connect(master);
+
+    // Whoosh from the nearest ring
+    const whooshFilter = new BiquadFilterNode(context, { type: 'bandpass', frequency: WHOOSH_FREQUENCY, Q: 1.5 });
+    const whooshGain = new GainNode(context, { gain: 0 });
+    const whooshPanner = panner();
+    loop('white').connect(whooshFilter).connect(whooshGain).connect(whooshPanner).connect(master);
+
+    // Glitch crackle
+    const crackleGain = new GainNode(context, { gain: 0 });
+    loop('crackle').connect(new BiquadFilterNode(context, { type: 'highpass', frequency: 1500 })).connect(crackleGain).connect(master);
+
+    return {
+        master,
+        droneGain, droneFilter, droneOscillators,
+        rumbleGain, rumblePanner,
+        whooshGain, whooshFilter, whooshPanner,
+        crackleGain,
+
+        start(when = 0) {
+            sources.forEach(source => source.start(when));
+        }
+    };
+}
+
+/**
+ * Schedule one measured frame on the voices at context time `when`
+ */
+function applyFrame(voices, frame, when) {
+    const set = (param, value) => param.setTargetAtTime(value, when, SMOOTHING);
+    const place = (node, [x, y, z]) => {
+        set(node.positionX, x);
+        set(node.positionY, y);
+        set(node.positionZ, z);
+    };
+
+    set(voices.droneGain.gain, frame.droneGain);
+    set(voices.droneFilter.frequency, frame.droneCutoff);
+    voices.droneOscillators.forEach((source, i) => set(source.frequency, frame.droneFrequency * DRONE_RATIOS[i]));
+
+    set(voices.rumbleGain.gain, frame.rumbleGain);
+    place(voices.rumblePanner, frame.rumbleDirection);
+
+    set(voices.whooshGain.gain, frame.whooshGain);
+    set(voices.whooshFilter.frequency, frame.whooshFrequency);
+    place(voices.whooshPanner, frame.whooshDirection);
+
+    set(voices.crackleGain.gain, frame.crackleGain);
+}
+
+/**
+ * Create a function measuring a viewer's frame into voice parameters.
+ * It remembers ring distances between calls to hear how fast they pass.
+ */
+function createSoundMeter() {
+    const cameraPosition = new THREE.Vector3();
+    const cameraRotation = new THREE.Quaternion();
+    const throatPosition = new THREE.Vector3();
+    const ringPosition = new THREE.Vector3();
+    const toSource = new THREE.Vector3();
+    const lastDistances = new Map();
+
+    return function measure({ appState, sceneObjects }, delta) {
+        const { camera, wormhole } = sceneObjects;
+
+        camera.getWorldPosition(cameraPosition);
+        camera.getWorldQuaternion(cameraRotation).invert();
+
+        // Direction of a point in the listener's frame (-z ahead)
+        const direction = (position) => {
+            toSource.subVectors(position, cameraPosition).applyQuaternion(cameraRotation);
+            return toSource.lengthSq() > 1e-6 ? toSource.normalize().toArray() : [0, 0, -1];
+        };
+
+        wormhole.mesh.getWorldPosition(throatPosition);
+        const proximity = 1 - THREE.MathUtils.smoothstep(cameraPosition.distanceTo(throatPosition), 150, 2000);
+        const progress = appState.journeyMode ? appState.journeyProgress : 0;
+
+        // The nearest visible ring whooshes, pitched up while closing in and down while pulling away
+        let whoosh = 0;
+        let whooshFrequency = WHOOSH_FREQUENCY;
+        let whooshDirection = [0, 0, -1];
+        wormhole.rings.forEach(ring => {
+            ring.getWorldPosition(ringPosition);
+            const distance = cameraPosition.distanceTo(ringPosition);
+            const last = lastDistances.get(ring);
+            lastDistances.set(ring, distance);
+            if (!ring.visible || last === undefined || delta <= 0) return;
+
+            const closing = (distance - last) / delta; // Negative while approaching
+            const level = Math.exp(-Math.pow(distance / RING_REACH, 2)) * Math.min(1, Math.abs(closing) / 400);
+            if (level <= whoosh) return;
+
+            whoosh = level;
+            whooshFrequency = WHOOSH_FREQUENCY * THREE.MathUtils.clamp((SOUND_SPEED - closing) / SOUND_SPEED, 0.3, 3);
+            whooshDirection = direction(ringPosition);
+        });
+
+        return {
+            droneGain: LEVELS.drone * (0.6 + 0.4 * progress),
+            droneFrequency: DRONE_ROOT * (1 - 0.2 * appState.distortion), // Tighter throats sound lower
+            droneCutoff: 250 + 2200 * progress + 500 * proximity,
+            rumbleGain: LEVELS.rumble * proximity * proximity * (0.4 + 0.6 * appState.distortion),
+            rumbleDirection: direction(throatPosition),
+            whooshGain: LEVELS.whoosh * whoosh,
+            whooshFrequency,
+            whooshDirection,
+            crackleGain: LEVELS.crackle * appState.glitchIntensity
+        };
+    };
+}
+
+/**
+ * Whether a recorded soundtrack can be rendered here
+ */
+export function canRenderSoundtrack() {
+    return typeof OfflineAudioContext !== 'undefined';
+}
+
+/**
+ * Render recorded frames (one per video frame at `fps`) into a stereo AudioBuffer
+ */
+export function renderSoundtrack(frames, fps, seed) {
+    const length = Math.max(1, Math.ceil(frames.length / fps * AUDIO_SAMPLE_RATE));
+    const context = new OfflineAudioContext({ numberOfChannels: 2, length, sampleRate: AUDIO_SAMPLE_RATE });
+
+    const voices = createVoices(context, seed);
+    frames.forEach((frame, index) => applyFrame(voices, frame, index / fps));
+    voices.start(0);
+
+    return context.startRendering();
+}
+
+/**
+ * 16-bit PCM WAV file of an AudioBuffer (the soundtrack of a PNG sequence)
+ */
+export function encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const dataSize = buffer.length * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const text = (offset, value) => [...value].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+    text(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    text(8, 'WAVE');
+    text(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    text(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = [...Array(channels)].map((_, c) => buffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < buffer.length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = Math.max(-1, Math.min(1, data[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * Create the live soundscape for a viewer ({ host, appState, sceneObjects, lifecycle }).
+ * Browsers only allow audio after a gesture, so it starts on the first pointer or key
+ * press inside the viewer. Call update() once per rendered frame.
+ */
+export function createSoundscape(viewer) {
+    const { host, appState, lifecycle } = viewer;
+    const settings = readAudioSettings();
+    const measure = createSoundMeter();
+
+    let context = null;
+    let voices = null;
+    let recording = null;
+
+    function start() {
+        if (context || settings.muted || lifecycle.disposed) return;
+        if (typeof AudioContext === 'undefined') return;
+
+        context = new AudioContext();
+        voices = createVoices(context, appState.seed);
+        voices.master.gain.value = settings.volume;
+        voices.start();
+    }
+
+    host.addEventListener('pointerdown', start, { signal: lifecycle.signal });
+    host.addEventListener('keydown', start, { signal: lifecycle.signal });
+    lifecycle.onDispose(() => {
+        if (context) context.close();
+    });
+
+    // Live output, unless muted or an export is recording
+    function syncPlayback() {
+        if (!context) return;
+        if (settings.muted || recording) context.suspend();
+        else context.resume();
+    }
+
+    return {
+        get volume() {
+            return settings.volume;
+        },
+
+        get muted() {
+            return settings.muted;
+        },
+
+        setVolume(volume) {
+            settings.volume = THREE.MathUtils.clamp(volume, 0, 1);
+            storeAudioSettings(settings);
+            if (voices) voices.master.gain.setTargetAtTime(settings.volume, context.currentTime, SMOOTHING);
+        },
+
+        setMuted(muted) {
+            settings.muted = muted;
+            storeAudioSettings(settings);
+            start(); // Unmuting is a gesture too
+            syncPlayback();
+        },
+
+        /**
+         * Measure this frame and play it, or record it during an export
+         */
+        update(delta) {
+            if (recording) {
+                recording.frames.push(recording.measure(viewer, delta));
+            } else if (context && context.state === 'running') {
+                applyFrame(voices, measure(viewer, delta), context.currentTime);
+            }
+        },
+
+        /**
+         * Record every following frame (live output pauses); stop() returns the frames
+         */
+        record() {
+            recording = { frames: [], measure: createSoundMeter() };
+            syncPlayback();
+
+            const current = recording;
+            return {
+                stop() {
+                    if (recording === current) {
+                        recording = null;
+                        syncPlayback();
+                    }
+                    return current.frames;
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,417 @@
+/**
+ * exporter.js - Frame-accurate offline export of journeys
+ *
+ * The real-time loop is paused and the selected journey is stepped with a fixed
+ * timestep, so every frame is rendered at exactly t = frame / fps no matter how
+ * long it takes. Glitches draw from a seeded generator, making re-exports identical.
+ *
+ * Unless the sound is muted, the soundscape is recorded frame by frame along the way
+ * and rendered offline afterwards: muxed as Opus into WebM (where WebCodecs can encode
+ * audio), or saved as soundtrack.wav beside a PNG sequence.
+ */
+import * as THREE from 'three';
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+import { createRandom } from './random.js';
+import { createZip } from './zip.js';
+import { projectionSize } from './projection.js';
+import { AUDIO_SAMPLE_RATE, canRenderSoundtrack, renderSoundtrack, encodeWav } from './audio.js';
+
+export const EXPORT_RESOLUTIONS = {
+    '720p': [1280, 720],
+    '1080p': [1920, 1080],
+    '1440p': [2560, 1440],
+    '2160p': [3840, 2160]
+};
+
+// Safety net against journeys that never complete
+const MAX_FRAMES = 60 * 60 * 10;
+
+// Every export renders at this quality tier, whatever the live governor settled on,
+// so the same journey and seed always give the same file
+const EXPORT_QUALITY = 'high';
+
+/**
+ * WebM needs WebCodecs; PNG sequences work everywhere
+ */
+export function canExportWebM() {
+    return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not read back the frame')), 'image/png');
+    });
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// The soundtrack's audio track: stereo Opus at the soundscape's sample rate
+const OPUS_CONFIG = {
+    codec: 'opus',
+    sampleRate: AUDIO_SAMPLE_RATE,
+    numberOfChannels: 2,
+    bitrate: 160000
+};
+
+// Opus in WebM needs an audio encoder as well, and one that takes this configuration;
+// asked before the export starts, so an unsupported one gives a silent video, not a failed export
+async function canEncodeAudio() {
+    if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') return false;
+    try {
+        const { supported } = await AudioEncoder.isConfigSupported(OPUS_CONFIG);
+        return supported;
+    } catch (error) {
+        return false;
+    }
+}
+
+function frameName(index) {
+    return `frame_${String(index).padStart(5, '0')}.png`;
+}
+
+// Encode a rendered soundtrack to Opus, in 100 ms blocks, into the muxer's audio track
+async function addSoundtrack(muxer, soundtrack) {
+    let failure = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+        error: (error) => { failure = error; }
+    });
+    encoder.configure(OPUS_CONFIG);
+
+    const channels = soundtrack.numberOfChannels;
+    const blockSize = soundtrack.sampleRate / 10;
+    for (let offset = 0; offset < soundtrack.length && !failure; offset += blockSize) {
+        const frames = Math.min(blockSize, soundtrack.length - offset);
+
+        // Planar: each channel's samples one after the other
+        const data = new Float32Array(frames * channels);
+        for (let channel = 0; channel < channels; channel++) {
+            data.set(soundtrack.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+        }
+
+        const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate: soundtrack.sampleRate,
+            numberOfFrames: frames,
+            numberOfChannels: channels,
+            timestamp: Math.round(offset * 1e6 / soundtrack.sampleRate),
+            data
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
+
+    await encoder.flush();
+    encoder.close();
+    if (failure) throw failure;
+}
+
+// VP9 in WebM through WebCodecs, with explicit per-frame timestamps, and an
+// optional stereo Opus track added when the video is finished
+function createWebMWriter(width, height, fps, { audio = false } = {}) {
+    const target = new ArrayBufferTarget();
+    const muxer = new Muxer({
+        target,
+        video: { codec: 'V_VP9', width, height, frameRate: fps },
+        audio: audio ? { codec: 'A_OPUS', sampleRate: OPUS_CONFIG.sampleRate, numberOfChannels: OPUS_CONFIG.numberOfChannels } : undefined
+    });
+
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+        error: (error) => { failure = error; }
+    });
+    encoder.configure({
+        codec: 'vp09.00.10.08',
+        width,
+        height,
+        framerate: fps,
+        bitrate: Math.round(width * height * fps * 0.15)
+    });
+
+    return {
+        async addFrame(canvas, index) {
+            const frame = new VideoFrame(canvas, {
+                timestamp: Math.round(index * 1e6 / fps),
+                duration: Math.round(1e6 / fps)
+            });
+            encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+            frame.close();
+
+            // Let the encoder drain instead of queueing the whole journey in memory
+            while (encoder.encodeQueueSize > 4 && !failure) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            if (failure) throw failure;
+        },
+
+        async finish(filename, soundtrack) {
+            await encoder.flush();
+            encoder.close();
+            if (soundtrack) await addSoundtrack(muxer, soundtrack);
+            muxer.finalize();
+            downloadBlob(new Blob([target.buffer], { type: 'video/webm' }), `${filename}.webm`);
+        },
+
+        abort() {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    };
+}
+
+// PNG sequence, streamed to a folder where the File System Access API exists, otherwise zipped
+function createPngWriter() {
+    const files = [];
+    const directory = window.showDirectoryPicker ? window.showDirectoryPicker({ mode: 'readwrite' }) : null;
+    if (directory) directory.catch(() => {}); // Surfaced on the first frame instead
+
+    return {
+        async addFrame(canvas, index) {
+            // Read back before yielding, while the drawing buffer still holds this frame
+            const pending = canvasToBlob(canvas);
+
+            if (directory) {
+                const handle = await (await directory).getFileHandle(frameName(index), { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(await pending);
+                await writable.close();
+            } else {
+                const data = new Uint8Array(await (await pending).arrayBuffer());
+                files.push({ name: frameName(index), data });
+            }
+        },
+
+        async finish(filename, soundtrack) {
+            if (soundtrack) {
+                const data = encodeWav(soundtrack);
+                if (directory) {
+                    const handle = await (await directory).getFileHandle('soundtrack.wav', { create: true });
+                    const writable = await handle.createWritable();
+                    await writable.write(data);
+                    await writable.close();
+                } else {
+                    files.push({ name: 'soundtrack.wav', data });
+                }
+            }
+
+            if (!directory) downloadBlob(createZip(files), `${filename}.zip`);
+        },
+
+        abort() {
+            files.length = 0;
+        }
+    };
+}
+
+// Make every control but the export button (cancel, during an export) inert, or usable again
+function setControlsLocked(root, locked) {
+    root.querySelectorAll('.controls-panel .control-group:not(.export-controls), .journey-progress').forEach(element => {
+        element.inert = locked;
+    });
+    root.querySelectorAll('.export-controls select').forEach(select => {
+        select.disabled = locked;
+    });
+}
+
+/**
+ * Render a viewer's selected journey frame by frame and save it as WebM or a PNG sequence
+ */
+export async function exportJourney(viewer, { width, height, fps = 30, format = 'webm', onProgress = () => {}, signal } = {}) {
+    // The headset owns the canvas size and the animation loop while presenting
+    if (viewer.sceneObjects.xr.presenting) throw new Error('Exit VR to export');
+
+    // Panoramic and dome formats keep the requested height and set their own width
+    ({ width, height } = projectionSize(viewer.appState.projection, width, height));
+
+    // A soundtrack, unless the sound is muted or this browser cannot render or encode one.
+    // Only WebM waits on the encoder check; a PNG export still has the click's activation below
+    const { soundscape } = viewer.sceneObjects;
+    const withAudio = !soundscape.muted && canRenderSoundtrack() && (format !== 'webm' || await canEncodeAudio());
+
+    // Created first: the folder picker must open while the click's user activation is still valid
+    const writer = format === 'webm' ? createWebMWriter(width, height, fps, { audio: withAudio }) : createPngWriter();
+
+    const { appState, sceneObjects, animation, root } = viewer;
+    const { renderer, composer, camera, quality } = sceneObjects;
+
+    // Remember everything the export changes
+    const saved = {
+        size: renderer.getSize(new THREE.Vector2()),
+        pixelRatio: renderer.getPixelRatio(),
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        fov: camera.fov,
+        aspect: camera.aspect,
+        random: appState.random,
+        journeyMode: appState.journeyMode,
+        journeyProgress: appState.journeyProgress,
+        journeyStartTime: appState.journeyStartTime,
+        qualityMode: quality.mode,
+        qualityTier: quality.tier,
+        emit: viewer.emit
+    };
+
+    // The offline render is not something the page is watching; it only listens for
+    // the end of the journey
+    let completed = false;
+    animation.stop();
+    viewer.emit = (type) => {
+        if (type === 'journeycomplete') completed = true;
+    };
+
+    // Nothing but the export button can reach the scene until the export is done
+    appState.exporting = true;
+    setControlsLocked(root, true);
+    sceneObjects.navigation.setEnabled(false);
+
+    // A fixed tier, set before the size since a tier sets the pixel ratio
+    quality.setMode(EXPORT_QUALITY);
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    composer.setPixelRatio(1);
+    composer.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // Deterministic glitches and a journey that starts from the top
+    appState.random = createRandom(appState.seed, 'export');
+    appState.flashCooldown = 0;
+    sceneObjects.navigation.cancelBlend();
+    appState.journeyMode = true;
+    appState.journeyStarted = true;
+    appState.journeyProgress = 0;
+    appState.journeyStartTime = 0;
+
+    // Live sound pauses; each rendered frame is recorded for the soundtrack instead
+    const recording = withAudio ? soundscape.record() : null;
+    let framesWritten = 0;
+
+    try {
+        for (let frame = 0; frame < MAX_FRAMES; frame++) {
+            if (signal && signal.aborted) throw new DOMException('Export cancelled', 'AbortError');
+
+            animation.renderFrame(1 / fps, frame / fps);
+
+            // The journey completed on this step; nothing new was drawn
+            if (completed) break;
+
+            await writer.addFrame(renderer.domElement, frame);
+            framesWritten = frame + 1;
+            onProgress(appState.journeyProgress, frame);
+        }
+
+        // Cut to the frames in the video, leaving out the final step that drew nothing
+        const soundtrack = recording ? await renderSoundtrack(recording.stop().slice(0, framesWritten), fps, appState.seed) : null;
+
+        const label = appState.projection === 'standard' ? `${height}p${fps}` : `${appState.projection}-${width}x${height}-${fps}fps`;
+        await writer.finish(`wormhole-${appState.journeyId}-${appState.seed}-${label}`, soundtrack);
+    } catch (error) {
+        writer.abort();
+        throw error;
+    } finally {
+        if (recording) recording.stop();
+        appState.random = saved.random;
+        appState.journeyMode = false;
+        appState.journeyStarted = false;
+        appState.journeyProgress = saved.journeyProgress;
+        appState.journeyStartTime = saved.journeyStartTime;
+        appState.journeyPhase = '';
+        appState.glitchIntensity = 0;
+        viewer.emit = saved.emit;
+
+        // The live view picks up the navigation rig again, without easing from the last frame
+        sceneObjects.navigation.setEnabled(true);
+        sceneObjects.navigation.cancelBlend();
+
+        camera.position.copy(saved.position);
+        camera.quaternion.copy(saved.quaternion);
+        camera.fov = saved.fov;
+        camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+
+        // The tier the governor had settled on, then its mode
+        quality.setMode(saved.qualityTier);
+        quality.setMode(saved.qualityMode);
+
+        renderer.setPixelRatio(saved.pixelRatio);
+        renderer.setSize(saved.size.x, saved.size.y, false);
+        composer.setPixelRatio(saved.pixelRatio);
+        composer.setSize(saved.size.x, saved.size.y);
+
+        // An interrupted live journey is not resumed mid-way
+        if (saved.journeyMode) root.getElementById('journey-btn').textContent = "Begin Journey";
+        root.getElementById('journey-progress').classList.remove('active');
+        root.getElementById('glitch').style.opacity = 0;
+
+        appState.exporting = false;
+        setControlsLocked(root, false);
+        animation.resume();
+    }
+}
+
+/**
+ * Wire up the export controls in a viewer's controls panel
+ */
+export function initExportControls(viewer) {
+    const { root, lifecycle } = viewer;
+    const exportBtn = root.getElementById('export-btn');
+    const resolutionSelect = root.getElementById('export-resolution');
+    const fpsSelect = root.getElementById('export-fps');
+    const formatSelect = root.getElementById('export-format');
+    const exportStatus = root.getElementById('export-status');
+    if (!exportBtn) return;
+
+    if (!canExportWebM()) {
+        formatSelect.querySelector('option[value="webm"]').disabled = true;
+        formatSelect.value = 'png';
+    }
+
+    let controller = null;
+
+    // Disposing the viewer cancels a running export
+    lifecycle.onDispose(() => {
+        if (controller) controller.abort();
+    });
+
+    exportBtn.addEventListener('click', async () => {
+        // Second click cancels
+        if (controller) {
+            controller.abort();
+            return;
+        }
+
+        const [width, height] = EXPORT_RESOLUTIONS[resolutionSelect.value] || EXPORT_RESOLUTIONS['1080p'];
+        const fps = Number(fpsSelect.value) || 30;
+
+        controller = new AbortController();
+        exportBtn.textContent = "Cancel Export";
+
+        try {
+            await exportJourney(viewer, {
+                width,
+                height,
+                fps,
+                format: formatSelect.value,
+                signal: controller.signal,
+                onProgress: (progress, frame) => {
+                    exportStatus.textContent = `Rendering frame ${frame + 1} (${Math.round(progress * 100)}%)`;
+                }
+            });
+            exportStatus.textContent = "Export complete";
+        } catch (error) {
+            exportStatus.textContent = error.name === 'AbortError' ? "Export cancelled" : `Export failed: ${error.message}`;
+            if (error.name !== 'AbortError') console.error('Export error:', error);
+        } finally {
+            controller = null;
+            exportBtn.textContent = "Export";
+        }
+    }, { signal: lifecycle.signal });
+}
@@ -0,0 +1,262 @@
+/**
+ * journeys.js - Data-driven journey definitions and the sampler that plays them
+ *
+ * A journey is a list of segments. Each segment has a duration in seconds, camera
+ * control points (joined into a Catmull-Rom spline), and keyframe lists for the
+ * look-at target, field of view, camera shake and glitch intensity. Keyframes are
+ * spaced evenly across their segment and interpolated linearly. The segment marked
+ * `exit` is where the camera comes out on the far side (the last one by default).
+ */
+import * as THREE from 'three';
+
+// Points along a helix around the wormhole axis (z)
+function spiral(turns, radiusFrom, radiusTo, zFrom, zTo, count = 12) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const t = i / (count - 1);
+        const angle = t * turns * Math.PI * 2;
+        const radius = radiusFrom + (radiusTo - radiusFrom) * t;
+        points.push([Math.cos(angle) * radius, Math.sin(angle) * radius, zFrom + (zTo - zFrom) * t]);
+    }
+    return points;
+}
+
+export const JOURNEYS = {
+    classic: {
+        name: 'Classic Fly-through',
+        speedVariation: 0.1,
+        segments: [
+            {
+                label: 'Approaching Wormhole',
+                duration: 4.2,
+                path: [[0, 0, 1500], [0, 0, 500]],
+                lookAt: [[0, 0, 0]],
+                fov: [70],
+                shake: { amplitude: [30, 16, 5, 0], frequency: [0.6] },
+                glitch: [0, 0.3]
+            },
+            {
+                label: ['Entering Wormhole Throat', 'Spacetime Compression'],
+                duration: 4.2,
+                path: [[0, 0, 500], [0, 0, -500]],
+                lookAt: [[0, 0, 0]],
+                fov: [70],
+                shake: { amplitude: [0, 50, 0], frequency: [5, 15, 5] },
+                glitch: [0.3, 1.0, 0.3]
+            },
+            {
+                label: 'Exiting Wormhole',
+                exit: true,
+                duration: 4.2,
+                path: [[0, 0, -500], [0, 0, -1500]],
+                lookAt: [[0, 0, 0]],
+                fov: [70],
+                shake: { amplitude: [20, 5, 0], frequency: [3] },
+                glitch: [0.3, 0.075, 0]
+            }
+        ]
+    },
+
+    spiral: {
+        name: 'Spiral Entry',
+        speedVariation: 0,
+        segments: [
+            {
+                label: 'Orbiting the Mouth',
+                duration: 8,
+                path: spiral(1.5, 900, 250, 1400, 450),
+                lookAt: [[0, 0, 0], [0, 0, -200]],
+                fov: [65, 75],
+                shake: { amplitude: [0, 5], frequency: [2] },
+                glitch: [0, 0.2]
+            },
+            {
+                label: ['Spiralling into the Throat', 'Frame Dragging'],
+                duration: 5,
+                path: spiral(1, 250, 20, 450, -300, 10),
+                lookAt: [[0, 0, -400], [0, 0, -900]],
+                fov: [75, 95, 80],
+                shake: { amplitude: [5, 35, 10], frequency: [8, 14, 8] },
+                glitch: [0.2, 0.9, 0.4]
+            },
+            {
+                label: 'Emerging on the Far Side',
+                exit: true,
+                duration: 4,
+                path: [[0, 0, -300], [120, 60, -900], [0, 0, -1500]],
+                lookAt: [[0, 0, -900], [0, 0, -2500]],
+                fov: [80, 70],
+                shake: { amplitude: [10, 0], frequency: [4] },
+                glitch: [0.4, 0]
+            }
+        ]
+    },
+
+    science: {
+        name: 'Slow Science Tour',
+        speedVariation: 0,
+        segments: [
+            {
+                label: 'Embedding Diagram from the Side',
+                duration: 10,
+                path: [[0, 0, 1600], [1200, 400, 900], [1500, 200, 0]],
+                lookAt: [[0, 0, 0]],
+                fov: [70, 60],
+                shake: { amplitude: [0], frequency: [1] },
+                glitch: [0]
+            },
+            {
+                label: 'Lensing Around the Mouth',
+                duration: 8,
+                path: [[1500, 200, 0], [900, -200, 900], [0, 0, 1000]],
+                lookAt: [[0, 0, 0]],
+                fov: [60, 55],
+                shake: { amplitude: [0], frequency: [1] },
+                glitch: [0]
+            },
+            {
+                label: ['Descending to the Throat', 'Crossing r = b0'],
+                duration: 10,
+                path: [[0, 0, 1000], [0, 0, 300], [0, 0, -300]],
+                lookAt: [[0, 0, 0], [0, 0, -1000]],
+                fov: [55, 80],
+                shake: { amplitude: [0, 8, 0], frequency: [3] },
+                glitch: [0, 0.3, 0]
+            },
+            {
+                label: 'Looking Back from the Far Universe',
+                exit: true,
+                duration: 8,
+                path: [[0, 0, -300], [300, 100, -1000], [0, 0, -1500]],
+                lookAt: [[0, 0, -1000], [0, 0, 0]],
+                fov: [80, 70],
+                shake: { amplitude: [0], frequency: [1] },
+                glitch: [0]
+            }
+        ]
+    }
+};
+
+export const DEFAULT_JOURNEY = 'classic';
+
+/**
+ * Linearly interpolate evenly spaced keyframes (numbers or [x, y, z] arrays)
+ */
+export function sampleKeyframes(keyframes, t) {
+    if (keyframes.length === 1) return keyframes[0];
+
+    const scaled = THREE.MathUtils.clamp(t, 0, 1) * (keyframes.length - 1);
+    const index = Math.min(Math.floor(scaled), keyframes.length - 2);
+    const local = scaled - index;
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+
+    if (Array.isArray(from)) {
+        return from.map((value, i) => value + (to[i] - value) * local);
+    }
+    return from + (to - from) * local;
+}
+
+/**
+ * Precompute splines and timing for a journey definition
+ */
+export function createJourneyTrack(definition) {
+    let start = 0;
+
+    const segments = definition.segments.map(segment => {
+        const points = segment.path.map(p => new THREE.Vector3(p[0], p[1], p[2]));
+        const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+        const labels = Array.isArray(segment.label) ? segment.label : [segment.label];
+
+        const track = { ...segment, curve, labels, start, end: start + segment.duration };
+        start += segment.duration;
+        return track;
+    });
+
+    const track = {
+        name: definition.name,
+        speedVariation: definition.speedVariation || 0,
+        duration: start,
+        segments
+    };
+
+    // Wall-clock length once the speed variation is applied
+    track.playTime = journeyTimeAt(track, 1);
+    track.throatCrossing = findThroatCrossing(track);
+
+    const exitSegment = segments.findIndex(segment => segment.exit);
+    track.exitSegment = exitSegment === -1 ? segments.length - 1 : exitSegment;
+    return track;
+}
+
+// Steps searched for the moment a journey passes the throat
+const CROSSING_SAMPLES = 400;
+
+/**
+ * Progress at which a track first reaches the throat plane (z = 0), or null if it never does
+ */
+function findThroatCrossing(track) {
+    const sample = { position: new THREE.Vector3(), lookAt: new THREE.Vector3() };
+
+    for (let i = 0; i <= CROSSING_SAMPLES; i++) {
+        const progress = i / CROSSING_SAMPLES;
+        sampleJourney(track, progress, 0, sample, { shakeScale: 0 });
+        if (sample.position.z <= 0) return progress;
+    }
+    return null;
+}
+
+/**
+ * Normalised progress after `elapsed` seconds of journey time. The pace varies as
+ * 1 + v·sin(t / 2); integrating it in closed form makes every moment seekable.
+ */
+export function journeyProgressAt(track, elapsed) {
+    const t = Math.max(0, elapsed);
+    const travelled = t + track.speedVariation * 2 * (1 - Math.cos(t * 0.5));
+    return travelled / track.duration;
+}
+
+/**
+ * Journey time at which `progress` is reached (the inverse of journeyProgressAt)
+ */
+export function journeyTimeAt(track, progress) {
+    const target = THREE.MathUtils.clamp(progress, 0, 1);
+
+    // Progress never runs slower than real time, so the answer lies in [0, target * duration]
+    let low = 0;
+    let high = target * track.duration;
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (journeyProgressAt(track, mid) < target) low = mid;
+        else high = mid;
+    }
+    return high;
+}
+
+/**
+ * Evaluate a journey at normalised progress (0-1). `time` drives the shake oscillation,
+ * which `shakeScale` can tone down (a headset wants far less of it).
+ */
+export function sampleJourney(track, progress, time, target, { shakeScale = 1 } = {}) {
+    const seconds = THREE.MathUtils.clamp(progress, 0, 1) * track.duration;
+    const segmentIndex = track.segments.findIndex(segment => seconds < segment.end);
+    const segment = track.segments[segmentIndex === -1 ? track.segments.length - 1 : segmentIndex];
+    const t = THREE.MathUtils.clamp((seconds - segment.start) / segment.duration, 0, 1);
+
+    segment.curve.getPoint(t, target.position);
+
+    // Shake perpendicular to the travel axis
+    const amplitude = sampleKeyframes(segment.shake.amplitude, t) * shakeScale;
+    const frequency = sampleKeyframes(segment.shake.frequency, t);
+    target.position.x += Math.sin(t * Math.PI * 2 + time * frequency) * amplitude;
+    target.position.y += Math.cos(t * Math.PI * 2 + time * frequency * 1.3) * amplitude;
+
+    const lookAt = sampleKeyframes(segment.lookAt, t);
+    target.lookAt.set(lookAt[0], lookAt[1], lookAt[2]);
+    target.fov = sampleKeyframes(segment.fov, t);
+    target.glitch = sampleKeyframes(segment.glitch, t);
+    target.label = segment.labels[Math.min(Math.floor(t * segment.labels.length), segment.labels.length - 1)];
+    target.segmentIndex = track.segments.indexOf(segment);
+
+    return target;
+}
@@ -0,0 +1,155 @@
+/**
+ * lensing.js - Screen-space gravitational lensing of the background sky
+ *
+ * The scene is rendered in two layers: the distant background (stars, nebulae,
+ * planets, galaxies) is drawn first and bent around the throat's projected
+ * position, then the wormhole itself is drawn on top without distortion.
+ */
+import * as THREE from 'three';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+
+// Layer holding everything that should be lensed
+export const BACKGROUND_LAYER = 1;
+
+// Never let the Einstein radius swallow more than this much of the view (tangent units)
+const MAX_EINSTEIN_RADIUS = 0.6;
+
+// Reusable vectors to avoid per-frame allocations
+const throatPosition = new THREE.Vector3();
+const projected = new THREE.Vector3();
+const toThroat = new THREE.Vector3();
+const viewDirection = new THREE.Vector3();
+
+const LensingShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        center: { value: new THREE.Vector2(0.5, 0.5) },
+        aspect: { value: 1.0 },
+        viewScale: { value: 1.0 },
+        einsteinRadius: { value: 0.0 },
+        exponent: { value: 1.0 },
+        strength: { value: 0.0 }
+    },
+
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 center;
+        uniform float aspect;
+        uniform float viewScale;
+        uniform float einsteinRadius;
+        uniform float exponent;
+        uniform float strength;
+        varying vec2 vUv;
+
+        void main() {
+            if (strength <= 0.0 || einsteinRadius <= 0.0) {
+                gl_FragColor = texture2D(tDiffuse, vUv);
+                return;
+            }
+
+            // Offset from the throat in tangent-plane units (isotropic across the screen)
+            vec2 theta = (vUv - center) * vec2(aspect, 1.0) * viewScale;
+            float r = length(theta);
+
+            // Lens equation beta = theta - alpha(theta), with alpha = thetaE^(k+1) / theta^k.
+            // k = 1 is a point mass, k = 2 the massless Ellis throat. Softened at the centre.
+            float soft = einsteinRadius * 0.25;
+            float alpha = pow(einsteinRadius, exponent + 1.0) / pow(r * r + soft * soft, exponent * 0.5);
+            vec2 beta = theta - (r > 0.0 ? theta / r : vec2(0.0)) * alpha * strength;
+
+            vec2 sourceUv = center + beta / viewScale / vec2(aspect, 1.0);
+            gl_FragColor = texture2D(tDiffuse, clamp(sourceUv, 0.0, 1.0));
+        }
+    `
+};
+
+/**
+ * Render pass restricted to one camera layer.
+ * The foreground pass draws over the lensed background, so it only clears depth.
+ */
+export function createLayerRenderPass(scene, camera, layer, { overlay = false } = {}) {
+    const pass = new RenderPass(scene, camera);
+    const originalRender = pass.render;
+
+    if (overlay) pass.clear = false;
+
+    pass.render = function(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+        const previousMask = this.camera.layers.mask;
+        this.camera.layers.set(layer);
+
+        if (overlay) {
+            renderer.setRenderTarget(this.renderToScreen ? null : readBuffer);
+            renderer.clearDepth();
+        }
+
+        originalRender.call(this, renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+        this.camera.layers.mask = previousMask;
+    };
+
+    return pass;
+}
+
+/**
+ * Create the lensing post-processing pass
+ */
+export function createLensingPass() {
+    return new ShaderPass(LensingShader);
+}
+
+/**
+ * Einstein radius (tangent units) of the throat seen from a given distance.
+ *
+ * A Schwarzschild-like throat (n = 0, b0 = 2M) lenses like a point mass, thetaE = sqrt(2 b0 / D).
+ * The Ellis throat (n = 1) has no mass; its deflection falls as pi b0² / (4 b²), giving
+ * thetaE = (pi b0² / (4 D²))^(1/3). The power-law family blends the two.
+ */
+export function computeEinsteinRadius(shape, distance) {
+    const b0 = shape.throatRadius;
+    const n = shape.shapeIndex;
+
+    const pointMass = Math.sqrt(2 * b0 / distance);
+    const ellis = Math.cbrt(Math.PI * b0 * b0 / (4 * distance * distance));
+
+    return Math.min(MAX_EINSTEIN_RADIUS, (1 - n) * pointMass + n * ellis);
+}
+
+/**
+ * Point the lensing pass at the throat's current screen position
+ */
+export function updateLensingPass(pass, camera, wormhole) {
+    const uniforms = pass.uniforms;
+    const shape = wormhole.getShape();
+
+    // The renderer only refreshes camera matrices at draw time, so do it now to avoid a frame of lag
+    camera.updateMatrixWorld();
+    wormhole.mesh.getWorldPosition(throatPosition);
+    toThroat.subVectors(throatPosition, camera.position);
+    const distance = toThroat.length();
+
+    // Switch off when the throat is behind us, and fade out as the camera enters the tunnel
+    camera.getWorldDirection(viewDirection);
+    const inFront = toThroat.dot(viewDirection) > 0;
+    const fade = THREE.MathUtils.smoothstep(distance, shape.throatRadius, shape.throatRadius * 3);
+
+    if (!inFront || fade <= 0) {
+        uniforms.strength.value = 0;
+        return;
+    }
+
+    projected.copy(throatPosition).project(camera);
+    uniforms.center.value.set(projected.x * 0.5 + 0.5, projected.y * 0.5 + 0.5);
+    uniforms.aspect.value = camera.aspect;
+    uniforms.viewScale.value = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom;
+    uniforms.einsteinRadius.value = computeEinsteinRadius(shape, distance);
+    uniforms.exponent.value = 1 + shape.shapeIndex;
+    uniforms.strength.value = fade;
+}
@@ -0,0 +1,59 @@
+/**
+ * lifecycle.js - Everything a viewer has to release when it is disposed
+ *
+ * Listeners added with the lifecycle's `signal` are removed by aborting it,
+ * timers started through it are cancelled, and cleanup callbacks run in
+ * reverse order of registration, so later layers are torn down first.
+ */
+
+export function createLifecycle() {
+    const controller = new AbortController();
+    const timers = new Set();
+    const cleanups = [];
+
+    return {
+        signal: controller.signal,
+
+        get disposed() {
+            return controller.signal.aborted;
+        },
+
+        // setTimeout that is cancelled on dispose
+        setTimeout(callback, delay) {
+            const id = setTimeout(() => {
+                timers.delete(id);
+                callback();
+            }, delay);
+            timers.add(id);
+            return id;
+        },
+
+        clearTimeout(id) {
+            clearTimeout(id);
+            timers.delete(id);
+        },
+
+        // Run `callback` on dispose (or right away if already disposed)
+        onDispose(callback) {
+            if (controller.signal.aborted) callback();
+            else cleanups.push(callback);
+        },
+
+        dispose() {
+            if (controller.signal.aborted) return;
+            controller.abort();
+
+            timers.forEach(id => clearTimeout(id));
+            timers.clear();
+
+            // One failing cleanup must not leak everything registered before it
+            while (cleanups.length) {
+                try {
+                    cleanups.pop()();
+                } catch (error) {
+                    console.error('Dispose error:', error);
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,197 @@
+/**
+ * navigation.js - Orbit/fly camera navigation with smooth hand-offs to journeys
+ *
+ * OrbitControls drives a rig camera rather than the rendered one: drag to orbit,
+ * right-drag to pan, wheel or pinch to zoom, two fingers to rotate. The keyboard
+ * flies the same rig (W/S in and out, A/D sideways, arrows orbit). Each frame the
+ * rendered camera either copies the rig or plays a journey, and switching between
+ * the two is blended, so leaving a journey returns to where the user left the rig.
+ */
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+
+// Limits that keep the throat in frame
+const MIN_DISTANCE = 250;
+const MAX_DISTANCE = 2500;
+const MAX_TARGET_RADIUS = 300; // How far panning may move the focus from the throat
+
+// Keyboard speeds (per second)
+const KEY_ORBIT_SPEED = 1.2; // radians
+const KEY_DOLLY_SPEED = 1.0; // e-foldings of the distance
+const KEY_PAN_SPEED = 0.6; // fractions of the distance
+
+// Seconds to blend between the rig and a journey
+const BLEND_DURATION = 1.2;
+
+// Held key -> [orbit left/right, orbit up/down, dolly, pan]
+const KEY_ACTIONS = {
+    arrowleft: [1, 0, 0, 0],
+    arrowright: [-1, 0, 0, 0],
+    arrowup: [0, 1, 0, 0],
+    arrowdown: [0, -1, 0, 0],
+    w: [0, 0, -1, 0],
+    s: [0, 0, 1, 0],
+    a: [0, 0, 0, -1],
+    d: [0, 0, 0, 1]
+};
+
+const smoothstep = t => t * t * (3 - 2 * t);
+
+/**
+ * Create the navigation for `camera`. Pointer input is read from `domElement`
+ * (the canvas), keys from `keyTarget` (the focusable viewer). Listeners are
+ * removed through `signal`; call dispose() for the controls themselves.
+ */
+export function createNavigation({ camera, domElement, keyTarget, signal }) {
+    const rig = new THREE.PerspectiveCamera(camera.fov, camera.aspect, camera.near, camera.far);
+    rig.position.copy(camera.position);
+
+    const controls = new OrbitControls(rig, domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.08;
+    controls.minDistance = MIN_DISTANCE;
+    controls.maxDistance = MAX_DISTANCE;
+    controls.maxTargetRadius = MAX_TARGET_RADIUS;
+    controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_ROTATE };
+    controls.update();
+
+    // Keys currently held down
+    const heldKeys = new Set();
+
+    keyTarget.addEventListener('keydown', (event) => {
+        // The real target inside the shadow root; form fields keep their own keys
+        const target = event.composedPath()[0];
+        if (target.closest && target.closest('input, select, textarea')) return;
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        const key = event.key.toLowerCase();
+        if (!KEY_ACTIONS[key] || !controls.enabled) return;
+
+        event.preventDefault(); // Arrows would scroll the page
+        heldKeys.add(key);
+    }, { signal });
+
+    keyTarget.addEventListener('keyup', (event) => heldKeys.delete(event.key.toLowerCase()), { signal });
+    keyTarget.addEventListener('blur', () => heldKeys.clear(), { signal });
+
+    // Blend from a captured camera pose to whatever drives the camera now
+    const blend = {
+        active: false,
+        elapsed: 0,
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        fov: camera.fov
+    };
+
+    // Scratch objects
+    const offset = new THREE.Vector3();
+    const pan = new THREE.Vector3();
+    const spherical = new THREE.Spherical();
+
+    // Fly the rig from the held keys, then let the controls clamp and damp it
+    function applyKeys(delta) {
+        if (!heldKeys.size) return;
+
+        let orbitX = 0, orbitY = 0, dolly = 0, strafe = 0;
+        heldKeys.forEach(key => {
+            const [x, y, d, p] = KEY_ACTIONS[key];
+            orbitX += x;
+            orbitY += y;
+            dolly += d;
+            strafe += p;
+        });
+
+        offset.copy(rig.position).sub(controls.target);
+        spherical.setFromVector3(offset);
+        spherical.theta += orbitX * KEY_ORBIT_SPEED * delta;
+        spherical.phi -= orbitY * KEY_ORBIT_SPEED * delta;
+        spherical.radius *= Math.exp(dolly * KEY_DOLLY_SPEED * delta);
+        spherical.makeSafe();
+        offset.setFromSpherical(spherical);
+        rig.position.copy(controls.target).add(offset);
+
+        if (strafe) {
+            rig.updateMatrix();
+            pan.setFromMatrixColumn(rig.matrix, 0).multiplyScalar(strafe * KEY_PAN_SPEED * spherical.radius * delta);
+            rig.position.add(pan);
+            controls.target.add(pan);
+        }
+    }
+
+    return {
+        controls,
+        rig,
+
+        /**
+         * Advance the rig by one frame of real time and show it through the camera
+         */
+        update(delta) {
+            if (controls.enabled) {
+                applyKeys(delta);
+                controls.update();
+            }
+
+            camera.position.copy(rig.position);
+            camera.quaternion.copy(rig.quaternion);
+            if (camera.fov !== rig.fov) {
+                camera.fov = rig.fov;
+                camera.updateProjectionMatrix();
+            }
+        },
+
+        // Hand the camera to a journey (false) or back to the user (true)
+        setEnabled(enabled) {
+            controls.enabled = enabled;
+            heldKeys.clear();
+        },
+
+        /**
+         * Remember the camera's current pose; the next frames ease from it to the new driver
+         */
+        startBlend() {
+            blend.active = true;
+            blend.elapsed = 0;
+            blend.position.copy(camera.position);
+            blend.quaternion.copy(camera.quaternion);
+            blend.fov = camera.fov;
+        },
+
+        cancelBlend() {
+            blend.active = false;
+        },
+
+        /**
+         * Mix the captured pose into the camera's pose for this frame
+         */
+        applyBlend(delta) {
+            if (!blend.active) return;
+
+            blend.elapsed += delta;
+            const t = Math.min(1, blend.elapsed / BLEND_DURATION);
+            if (t >= 1) blend.active = false;
+
+            const weight = smoothstep(t);
+            camera.position.lerpVectors(blend.position, camera.position, weight);
+            camera.quaternion.slerpQuaternions(blend.quaternion, camera.quaternion, weight);
+
+            const fov = THREE.MathUtils.lerp(blend.fov, camera.fov, weight);
+            if (camera.fov !== fov) {
+                camera.fov = fov;
+                camera.updateProjectionMatrix();
+            }
+        },
+
+        /**
+         * Place the rig (from a permalink); the target defaults to the throat
+         */
+        setView(position, target = [0, 0, 0]) {
+            controls.target.fromArray(target);
+            rig.position.fromArray(position);
+            controls.update();
+        },
+
+        dispose() {
+            controls.dispose();
+        }
+    };
+}
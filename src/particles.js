@@ -0,0 +1,357 @@
+/**
+ * particles.js - GPU-animated particle clouds
+ *
+ * Each particle's rest position, velocity, size and phase are uploaded once;
+ * the vertex shader layers the oscillations from a single time uniform, so the
+ * CPU cost per frame is constant and clouds of 100k+ particles stay smooth.
+ */
+import * as THREE from 'three';
+import { SHAPE_LIMITS } from './physics.js';
+
+export const DEFAULT_PARTICLE_COUNTS = {
+    flow: 1500,
+    energy: 1000,
+    throat: 4000
+};
+
+// Largest offset the shader adds to a rest position (3 + 2 units)
+const MAX_OSCILLATION = 5;
+
+const vertexShader = `
+    uniform float u_time;
+    uniform float u_scale;
+    attribute float size;
+    attribute vec3 velocity;
+    attribute vec2 phase;
+
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+
+    void main() {
+        // Layer multiple oscillations for more organic movement
+        float flowFactor = 0.2 + 0.8 * sin(u_time * 0.1 + phase.y);
+        float oscillation = 3.0 + flowFactor * 2.0;
+
+        vec3 offset = vec3(
+            sin(u_time * velocity.x + phase.x),
+            cos(u_time * velocity.y + phase.x),
+            sin(u_time * velocity.z + phase.x + PI_HALF)
+        ) * oscillation;
+
+        vec4 mvPosition = modelViewMatrix * vec4(position + offset, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+
+        // Per-particle size with perspective attenuation, as PointsMaterial does
+        gl_PointSize = size * u_scale / -mvPosition.z;
+
+        #include <logdepthbuf_vertex>
+    }
+`;
+
+const fragmentShader = `
+    uniform vec3 u_color;
+    uniform float u_opacity;
+
+    #include <common>
+    #include <logdepthbuf_pars_fragment>
+
+    void main() {
+        #include <logdepthbuf_fragment>
+
+        // Round points rather than squares
+        vec2 centered = gl_PointCoord - 0.5;
+        if (dot(centered, centered) > 0.25) discard;
+
+        gl_FragColor = vec4(u_color, u_opacity);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Reusable vector to avoid per-frame allocations
+const bufferSize = new THREE.Vector2();
+
+/**
+ * Build a GPU-animated particle cloud.
+ * `positions` and `velocities` hold xyz triples, `sizes` one value per particle.
+ */
+export function createParticlePoints({ positions, velocities, sizes, color, opacity }) {
+    const count = sizes.length;
+
+    // Phase offsets per particle, wrapped to keep the shader's sin() arguments small
+    const phases = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        phases[i * 2] = (i * 0.1) % (Math.PI * 2);
+        phases[i * 2 + 1] = (i * 0.01) % (Math.PI * 2);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('phase', new THREE.BufferAttribute(phases, 2));
+
+    // Bounds come from rest positions; pad them so culling allows for the motion
+    geometry.computeBoundingSphere();
+    geometry.boundingSphere.radius += MAX_OSCILLATION;
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            u_time: { value: 0.0 },
+            u_scale: { value: 1.0 },
+            u_color: { value: new THREE.Color(color) },
+            u_opacity: { value: opacity }
+        },
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false // Performance optimization
+    });
+
+    const points = new THREE.Points(geometry, material);
+
+    // Match PointsMaterial's attenuation scale for whatever is being rendered to
+    points.onBeforeRender = (renderer) => {
+        renderer.getDrawingBufferSize(bufferSize);
+        material.uniforms.u_scale.value = bufferSize.y * 0.5;
+    };
+
+    return points;
+}
+
+/**
+ * Move a particle cloud to `time`
+ */
+export function updateParticlePoints(points, time) {
+    points.material.uniforms.u_time.value = time;
+}
+
+// ======== THROAT FLOW ========
+// Particles that stream along the embedding surface from one mouth to the other
+
+// Texels in the travel-time lookup table
+const FLOW_TABLE_SIZE = 256;
+
+// Surface speed at the mouths (units per second); continuity speeds it up towards the throat
+const MOUTH_SPEED = 60;
+
+const flowVertexShader = `
+    uniform sampler2D u_profile;
+    uniform float u_time;
+    uniform float u_rate;
+    uniform float u_density;
+    uniform float u_twoWay;
+    uniform float u_twist;
+    uniform float u_scale;
+    attribute vec4 flow; // angle, phase, direction, threshold
+    attribute float size;
+    varying float vFade;
+    varying float vReturning;
+
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+
+    // Linear lookup into the (radius, height) table by travel time
+    vec2 sampleProfile(float tau) {
+        float x = tau * float(${FLOW_TABLE_SIZE - 1});
+        int i0 = int(floor(x));
+        int i1 = min(i0 + 1, ${FLOW_TABLE_SIZE - 1});
+        vec2 a = texelFetch(u_profile, ivec2(i0, 0), 0).rg;
+        vec2 b = texelFetch(u_profile, ivec2(i1, 0), 0).rg;
+        return mix(a, b, fract(x));
+    }
+
+    void main() {
+        // Travel time runs from our mouth (0) through the throat to the far mouth (1),
+        // then the particle is recycled at the start
+        float travelled = fract(flow.y + u_time * u_rate);
+        float tau = travelled;
+        vReturning = (flow.z < 0.0 && u_twoWay > 0.5) ? 1.0 : 0.0;
+        if (vReturning > 0.5) tau = 1.0 - tau;
+
+        // Frame dragging carries particles round the axis, the same way in both
+        // directions, mostly while they pass the throat
+        float angle = flow.x + u_twist * smoothstep(0.35, 0.65, travelled);
+
+        vec2 profile = sampleProfile(tau);
+        vec3 surfacePosition = vec3(cos(angle) * profile.x, profile.y, sin(angle) * profile.x);
+
+        vec4 mvPosition = modelViewMatrix * vec4(surfacePosition, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+
+        // Particles above the density threshold are switched off
+        float active = step(flow.w, u_density);
+        gl_PointSize = active * size * u_scale / -mvPosition.z;
+
+        // Fade in and out at the mouths so recycling is invisible
+        vFade = smoothstep(0.0, 0.06, tau) * smoothstep(1.0, 0.94, tau);
+
+        #include <logdepthbuf_vertex>
+    }
+`;
+
+const flowFragmentShader = `
+    uniform vec3 u_color;
+    uniform vec3 u_returnColor;
+    uniform float u_opacity;
+    varying float vFade;
+    varying float vReturning;
+
+    #include <common>
+    #include <logdepthbuf_pars_fragment>
+
+    void main() {
+        #include <logdepthbuf_fragment>
+
+        vec2 centered = gl_PointCoord - 0.5;
+        if (dot(centered, centered) > 0.25) discard;
+
+        gl_FragColor = vec4(mix(u_color, u_returnColor, vReturning), u_opacity * vFade);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+/**
+ * Build the travel-time lookup for a surface profile: texel i holds the (radius, height)
+ * reached after i / (size - 1) of the crossing. Speed scales as mouthRadius / r, the
+ * continuity equation for a steady flow through a ring of circumference 2πr.
+ * Returns the texture data and the crossing time in seconds.
+ */
+export function buildFlowTable(profile, target = new Float32Array(FLOW_TABLE_SIZE * 2)) {
+    const samples = profile.radius.length;
+    const last = samples - 1;
+    const mouthRadius = profile.radius[last];
+
+    // Points along the whole surface, mouth (+) -> throat -> mouth (-), with cumulative time
+    const count = samples * 2 - 1;
+    const radius = new Float64Array(count);
+    const height = new Float64Array(count);
+    const time = new Float64Array(count);
+    let previousArc = -profile.arcLength[last];
+
+    for (let i = 0; i < count; i++) {
+        const ourSide = i < samples;
+        const index = ourSide ? last - i : i - last;
+        const arc = ourSide ? -profile.arcLength[index] : profile.arcLength[index];
+
+        radius[i] = profile.radius[index];
+        height[i] = ourSide ? profile.height[index] : -profile.height[index];
+
+        if (i > 0) {
+            const speed = MOUTH_SPEED * mouthRadius / ((radius[i] + radius[i - 1]) / 2);
+            time[i] = time[i - 1] + (arc - previousArc) / speed;
+        }
+        previousArc = arc;
+    }
+
+    // Resample at evenly spaced travel times
+    const total = time[count - 1];
+    let segment = 0;
+    for (let i = 0; i < FLOW_TABLE_SIZE; i++) {
+        const t = i / (FLOW_TABLE_SIZE - 1) * total;
+        while (segment < count - 2 && time[segment + 1] < t) segment++;
+
+        const span = time[segment + 1] - time[segment] || 1;
+        const local = Math.min(1, Math.max(0, (t - time[segment]) / span));
+        target[i * 2] = radius[segment] + (radius[segment + 1] - radius[segment]) * local;
+        target[i * 2 + 1] = height[segment] + (height[segment + 1] - height[segment]) * local;
+    }
+
+    return { data: target, crossingTime: total };
+}
+
+/**
+ * Build particles that flow through the throat. `random` is a seeded generator.
+ * The points live in the wormhole's local frame (axis along y), like the surface mesh.
+ */
+export function createThroatFlow({ count, random, color = 0x00ffff, opacity = 0.8 }) {
+    const flow = new Float32Array(count * 4);
+    const sizes = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        flow[i * 4] = random() * Math.PI * 2; // Angle around the axis
+        flow[i * 4 + 1] = random(); // Starting point along the crossing
+        flow[i * 4 + 2] = random() < 0.5 ? 1 : -1; // Direction, when two-way
+        flow[i * 4 + 3] = random(); // Density threshold
+        sizes[i] = 2 + random() * 2;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    // Positions are computed in the shader; this only sizes the draw call
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('flow', new THREE.BufferAttribute(flow, 4));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+    const profileTexture = new THREE.DataTexture(
+        new Float32Array(FLOW_TABLE_SIZE * 2), FLOW_TABLE_SIZE, 1, THREE.RGFormat, THREE.FloatType
+    );
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            u_profile: { value: profileTexture },
+            u_time: { value: 0.0 },
+            u_rate: { value: 0.0 },
+            u_density: { value: 1.0 },
+            u_twoWay: { value: 1.0 },
+            u_twist: { value: 0.0 },
+            u_scale: { value: 1.0 },
+            u_color: { value: new THREE.Color(color) },
+            u_returnColor: { value: new THREE.Color(color) },
+            u_opacity: { value: opacity }
+        },
+        vertexShader: flowVertexShader,
+        fragmentShader: flowFragmentShader,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.userData.kind = 'throat';
+    points.userData.profile = null;
+
+    points.onBeforeRender = (renderer) => {
+        renderer.getDrawingBufferSize(bufferSize);
+        material.uniforms.u_scale.value = bufferSize.y * 0.5;
+    };
+
+    // Dispose the lookup table along with the material
+    material.addEventListener('dispose', () => profileTexture.dispose());
+
+    return points;
+}
+
+/**
+ * Fit the flow to the current surface and wormhole type (a WORMHOLE_TYPES entry).
+ * Tighter throats (more distortion) carry a faster, denser stream; the type's `flow`
+ * decides whether it runs both ways, tints the stream arriving from the far side
+ * (inter-universe) or twists it round the axis (frame dragging).
+ */
+export function updateThroatFlow(points, profile, shape, type) {
+    const uniforms = points.material.uniforms;
+
+    if (points.userData.profile !== profile) {
+        points.userData.profile = profile;
+
+        const table = buildFlowTable(profile, uniforms.u_profile.value.image.data);
+        uniforms.u_profile.value.needsUpdate = true;
+        uniforms.u_rate.value = 1 / table.crossingTime;
+
+        // Half-extent of the surface, for culling
+        const extent = Math.max(profile.radius[profile.radius.length - 1], profile.height[profile.height.length - 1]);
+        points.geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), Math.SQRT2 * extent);
+
+        const tightness = (SHAPE_LIMITS.maxThroatRadius - shape.throatRadius) /
+            (SHAPE_LIMITS.maxThroatRadius - SHAPE_LIMITS.minThroatRadius);
+        uniforms.u_density.value = 0.4 + 0.6 * tightness;
+    }
+
+    const { twoWay, returnColor, twist = 0 } = type.flow;
+    uniforms.u_twoWay.value = twoWay ? 1 : 0;
+    uniforms.u_returnColor.value.set(returnColor !== undefined ? returnColor : uniforms.u_color.value);
+    uniforms.u_twist.value = twist;
+}
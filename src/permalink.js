@@ -0,0 +1,128 @@
+/**
+ * permalink.js - Shareable URLs that encode the full scene state in the hash
+ *
+ * Example: #d=50&type=one-way&cam=0,0,1200&at=0,0,0&zoom=1&journey=classic&p=0.42&seed=1234&mode=raytraced&proj=equirect&particles=flow
+ * Discrete choices (distortion, type, seed...) push a history entry so back/forward
+ * steps through them; continuous camera and journey changes replace the current one.
+ */
+
+// Keys whose changes get their own history entry
+const DISCRETE_KEYS = ['d', 'type', 'seed', 'journey', 'mode', 'proj', 'particles'];
+
+// How often the URL is brought up to date (ms)
+const UPDATE_INTERVAL = 500;
+
+/**
+ * Parse a location hash into a scene state. Invalid or missing fields are left undefined.
+ */
+export function parsePermalink(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const state = {};
+
+    const number = (key) => {
+        if (!params.has(key)) return undefined;
+        const value = parseFloat(params.get(key));
+        return Number.isFinite(value) ? value : undefined;
+    };
+
+    const distortion = number('d');
+    if (distortion !== undefined) state.distortion = Math.max(0, Math.min(100, Math.round(distortion)));
+
+    if (params.get('type')) state.type = params.get('type');
+    if (params.get('seed')) state.seed = params.get('seed');
+    if (params.get('journey')) state.journey = params.get('journey');
+    if (params.get('mode')) state.mode = params.get('mode');
+    if (params.get('proj')) state.projection = params.get('proj');
+    if (params.get('particles')) state.particles = params.get('particles');
+
+    const vector = (key) => {
+        if (!params.has(key)) return undefined;
+        const values = params.get(key).split(',').map(parseFloat);
+        return values.length === 3 && values.every(Number.isFinite) ? values : undefined;
+    };
+
+    const camera = vector('cam');
+    if (camera) state.camera = camera;
+
+    // Orbit target; links from before orbiting looked at the throat
+    const target = vector('at');
+    if (target) state.target = target;
+
+    const zoom = number('zoom');
+    if (zoom !== undefined && zoom > 0) state.zoom = zoom;
+
+    const progress = number('p');
+    if (progress !== undefined) state.progress = Math.max(0, Math.min(0.999, progress));
+
+    return state;
+}
+
+/**
+ * Serialize a scene state into a location hash
+ */
+export function serializePermalink(state) {
+    const params = new URLSearchParams();
+
+    if (state.distortion !== undefined) params.set('d', String(Math.round(state.distortion)));
+    if (state.type) params.set('type', state.type);
+    if (state.camera) params.set('cam', state.camera.map(v => Math.round(v)).join(','));
+    if (state.target) params.set('at', state.target.map(v => Math.round(v)).join(','));
+    if (state.zoom !== undefined) params.set('zoom', String(Math.round(state.zoom * 100) / 100));
+    if (state.journey) params.set('journey', state.journey);
+    if (state.progress !== undefined) params.set('p', state.progress.toFixed(3));
+    if (state.seed) params.set('seed', state.seed);
+    if (state.mode) params.set('mode', state.mode);
+    if (state.projection) params.set('proj', state.projection);
+    if (state.particles) params.set('particles', state.particles);
+
+    // Commas are legal in a fragment and keep the camera readable for hand edits
+    return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+// Compare only the discrete part of two hashes
+function discreteKey(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return DISCRETE_KEYS.map(key => params.get(key)).join('|');
+}
+
+/**
+ * Keep the URL in sync with the scene, and the scene in sync with URL edits and history navigation.
+ * `readState` returns the current scene state, `applyState` applies a parsed one.
+ */
+export function initPermalinks({ readState, applyState }) {
+    let lastHash = serializePermalink(readState());
+    history.replaceState(history.state, '', lastHash);
+
+    const timer = setInterval(() => {
+        const hash = serializePermalink(readState());
+        if (hash === lastHash) return;
+
+        if (discreteKey(hash) !== discreteKey(lastHash)) {
+            history.pushState(history.state, '', hash);
+        } else {
+            history.replaceState(history.state, '', hash);
+        }
+        lastHash = hash;
+    }, UPDATE_INTERVAL);
+
+    // Hand edits fire hashchange, back/forward fires popstate (sometimes both)
+    const onNavigate = () => {
+        if (location.hash === lastHash) return;
+        applyState(parsePermalink(location.hash));
+
+        // Fill in anything the edited hash left out, without adding a history entry
+        lastHash = serializePermalink(readState());
+        history.replaceState(history.state, '', lastHash);
+    };
+
+    window.addEventListener('hashchange', onNavigate);
+    window.addEventListener('popstate', onNavigate);
+
+    return {
+        dispose() {
+            clearInterval(timer);
+            window.removeEventListener('hashchange', onNavigate);
+            window.removeEventListener('popstate', onNavigate);
+        }
+    };
+}
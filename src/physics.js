@@ -0,0 +1,249 @@
+/**
+ * physics.js - Morris-Thorne wormhole model used by the visualization
+ *
+ * The spatial geometry is the static, spherically symmetric Morris-Thorne metric
+ *   ds² = -e^{2Φ(r)} dt² + dr² / (1 - b(r)/r) + r² dΩ²
+ * with the power-law shape function b(r) = b0 (b0 / r)^n.
+ *   n = 1 -> Ellis drainhole, b(r) = b0² / r  (embedding is a catenoid)
+ *   n = 0 -> Schwarzschild slice, b(r) = b0 = 2M (Flamm's paraboloid)
+ * The flare-out condition b'(b0) < 1 holds for every n > -1.
+ * Units are geometric (G = c = 1) until converted for the readouts.
+ *
+ * A shape is { throatRadius, shapeIndex, redshift, spin }: `redshift` scales the
+ * redshift function (0 for a drainhole with no pull), `spin` is the throat's
+ * frame-dragging speed as a fraction of c (0 when static).
+ */
+
+// Slider mapping: 0% distortion is a wide Ellis throat, 100% a tight Schwarzschild throat
+export const SHAPE_LIMITS = {
+    minThroatRadius: 60,
+    maxThroatRadius: 260,
+    minShapeIndex: 0,
+    maxShapeIndex: 1
+};
+
+// Integration resolution for the embedding profile
+const EMBEDDING_STEPS = 512;
+
+/**
+ * Map a normalised distortion value (0-1) to shape function parameters
+ */
+export function shapeFromDistortion(distortionFactor) {
+    const d = Math.max(0, Math.min(1, distortionFactor));
+
+    return {
+        throatRadius: SHAPE_LIMITS.maxThroatRadius - d * (SHAPE_LIMITS.maxThroatRadius - SHAPE_LIMITS.minThroatRadius),
+        shapeIndex: SHAPE_LIMITS.maxShapeIndex - d * (SHAPE_LIMITS.maxShapeIndex - SHAPE_LIMITS.minShapeIndex),
+        redshift: 1,
+        spin: 0
+    };
+}
+
+/**
+ * Shape function b(r) = b0 (b0 / r)^n
+ */
+export function shapeFunction(r, shape) {
+    const b0 = shape.throatRadius;
+    return b0 * Math.pow(b0 / r, shape.shapeIndex);
+}
+
+/**
+ * Build the embedding profile z(r) of the equatorial slice, from the throat out to maxRadius.
+ *
+ * dz/dr = 1 / sqrt(r / b(r) - 1) diverges at the throat, so we integrate in u with
+ * r = b0 + u², where the integrand 2u / sqrt(r / b - 1) stays finite.
+ * Returns parallel arrays of radius, height and arc length along the profile curve.
+ */
+export function computeEmbeddingProfile(shape, maxRadius, steps = EMBEDDING_STEPS) {
+    const b0 = shape.throatRadius;
+    const n = shape.shapeIndex;
+    const uMax = Math.sqrt(Math.max(0, maxRadius - b0));
+    const du = uMax / steps;
+
+    const integrand = (u) => {
+        if (u === 0) return 2 * Math.sqrt(b0 / (1 + n));
+        const r = b0 + u * u;
+        return 2 * u / Math.sqrt(r / shapeFunction(r, shape) - 1);
+    };
+
+    const radius = new Float64Array(steps + 1);
+    const height = new Float64Array(steps + 1);
+    const arcLength = new Float64Array(steps + 1);
+    radius[0] = b0;
+
+    let previous = integrand(0);
+    for (let i = 1; i <= steps; i++) {
+        const u = i * du;
+        const current = integrand(u);
+
+        // Simpson's rule on each step
+        height[i] = height[i - 1] + du * (previous + 4 * integrand(u - du / 2) + current) / 6;
+        radius[i] = b0 + u * u;
+        arcLength[i] = arcLength[i - 1] + Math.hypot(radius[i] - radius[i - 1], height[i] - height[i - 1]);
+
+        previous = current;
+    }
+
+    return { radius, height, arcLength, length: arcLength[steps] };
+}
+
+/**
+ * Sample the profile at a given arc length (clamped to the profile ends)
+ */
+export function sampleEmbeddingProfile(profile, s, target = { r: 0, z: 0 }) {
+    const { radius, height, arcLength } = profile;
+    const last = arcLength.length - 1;
+
+    if (s <= 0) {
+        target.r = radius[0];
+        target.z = height[0];
+        return target;
+    }
+    if (s >= arcLength[last]) {
+        target.r = radius[last];
+        target.z = height[last];
+        return target;
+    }
+
+    // Binary search for the enclosing segment
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (arcLength[mid] <= s) lo = mid;
+        else hi = mid;
+    }
+
+    const t = (s - arcLength[lo]) / (arcLength[hi] - arcLength[lo] || 1);
+    target.r = radius[lo] + (radius[hi] - radius[lo]) * t;
+    target.z = height[lo] + (height[hi] - height[lo]) * t;
+    return target;
+}
+
+// ======== SCIENTIFIC READOUTS ========
+// Physical scale of the scene: one world unit is one kilometre
+export const UNIT_LENGTH_METERS = 1000;
+
+const SPEED_OF_LIGHT = 299792458; // m/s
+const GRAVITATIONAL_CONSTANT = 6.674e-11; // m³ kg⁻¹ s⁻²
+const STANDARD_GRAVITY = 9.80665; // m/s²
+const TRAVELLER_HEIGHT = 2; // m, head-to-foot size used for tidal estimates
+
+// c⁴ / 8πG converts geometric curvature (1/m²) into energy density (J/m³)
+const CURVATURE_TO_ENERGY_DENSITY = Math.pow(SPEED_OF_LIGHT, 4) / (8 * Math.PI * GRAVITATIONAL_CONSTANT);
+
+/**
+ * Derivative of the shape function, b'(r) = -n b(r) / r
+ */
+export function shapeDerivative(r, shape) {
+    return -shape.shapeIndex * shapeFunction(r, shape) / r;
+}
+
+/**
+ * Redshift function Φ(r) = -m(r) / r with mass function m(r) = b(r) / 2, scaled by shape.redshift.
+ * Finite everywhere (no horizon), so the wormhole stays traversable.
+ */
+export function redshiftFunction(r, shape) {
+    return -shape.redshift * shapeFunction(r, shape) / (2 * r);
+}
+
+// Central finite differences of Φ, step relative to r
+function redshiftDerivatives(r, shape) {
+    const h = r * 1e-3;
+    const minus = redshiftFunction(r - h, shape);
+    const centre = redshiftFunction(r, shape);
+    const plus = redshiftFunction(r + h, shape);
+
+    return {
+        first: (plus - minus) / (2 * h),
+        second: (plus - 2 * centre + minus) / (h * h)
+    };
+}
+
+/**
+ * Areal radius r of a world position, using the same mapping as the ray tracer:
+ * outside the throat it is the distance to the centre, inside it sticks to b0.
+ */
+export function radialCoordinate(position, shape) {
+    return Math.max(position.length(), shape.throatRadius);
+}
+
+/**
+ * Compute the Scientific Data readouts for an observer at a given position and speed.
+ * Lengths are in world units, speed in world units per second; results are SI.
+ * Formulas follow Morris & Thorne (1988), Am. J. Phys. 56, 395.
+ */
+export function computeReadouts(shape, position, speed = 0) {
+    const b0 = shape.throatRadius;
+    const r = radialCoordinate(position, shape);
+    const b = shapeFunction(r, shape);
+    const bPrime = shapeDerivative(r, shape);
+    const phi = redshiftFunction(r, shape);
+    const { first: phiPrime, second: phiPrime2 } = redshiftDerivatives(r, shape);
+
+    // Curvature terms come out in 1/unit², convert them to 1/m²
+    const perSquareMeter = 1 / (UNIT_LENGTH_METERS * UNIT_LENGTH_METERS);
+
+    // Null energy condition at the throat: ρ - τ = (b' - 1) / (8π b0²) < 0 requires exotic matter
+    const throatBPrime = shapeDerivative(b0, shape);
+    const exoticEnergyDensity = CURVATURE_TO_ENERGY_DENSITY * (throatBPrime - 1) / (b0 * b0) * perSquareMeter;
+
+    // Radial tidal acceleration in the static frame
+    const radialCurvature = (1 - b / r) * (-phiPrime2 - phiPrime * phiPrime) +
+        (bPrime * r - b) * phiPrime / (2 * r * r);
+
+    // Lateral tidal acceleration felt by a traveller moving radially at speed v
+    const beta = Math.min(speed * UNIT_LENGTH_METERS / SPEED_OF_LIGHT, 0.999);
+    const gammaSquared = 1 / (1 - beta * beta);
+    const lateralCurvature = gammaSquared / (2 * r * r) *
+        (beta * beta * (bPrime - b / r) + 2 * (r - b) * phiPrime);
+
+    const tidalCurvature = Math.max(Math.abs(radialCurvature), Math.abs(lateralCurvature)) * perSquareMeter;
+    const tidalAcceleration = SPEED_OF_LIGHT * SPEED_OF_LIGHT * tidalCurvature * TRAVELLER_HEIGHT;
+
+    return {
+        throatRadius: b0 * UNIT_LENGTH_METERS,
+        exoticEnergyDensity,
+        tidalAcceleration: tidalAcceleration / STANDARD_GRAVITY,
+        timeDilation: Math.exp(-phi)
+    };
+}
+
+/**
+ * Frame-dragging angular velocity ω(r) = ω(b0) (b0 / r)³ in rad/s, as around a
+ * slowly rotating wormhole (Teo 1998, Phys. Rev. D 58, 024014). The throat is
+ * dragged round at shape.spin times the speed of light.
+ */
+export function frameDraggingRate(shape, position) {
+    const b0 = shape.throatRadius;
+    const r = radialCoordinate(position, shape);
+    return shape.spin * SPEED_OF_LIGHT / (b0 * UNIT_LENGTH_METERS) * Math.pow(b0 / r, 3);
+}
+
+/**
+ * computeReadouts for a rotating wormhole, adding the frame-dragging rate
+ */
+export function computeRotatingReadouts(shape, position, speed = 0) {
+    return {
+        ...computeReadouts(shape, position, speed),
+        frameDragging: frameDraggingRate(shape, position)
+    };
+}
+
+/**
+ * Readouts for the Schwarzschild (Einstein-Rosen) bridge, a vacuum solution with
+ * 2M = b0: no exotic matter, and a horizon at the throat where clocks stop.
+ * The tidal acceleration is the radial 2M / r³ stretch.
+ */
+export function computeSchwarzschildReadouts(shape, position) {
+    const b0 = shape.throatRadius;
+    const r = radialCoordinate(position, shape);
+    const tidalCurvature = b0 / (r * r * r) / (UNIT_LENGTH_METERS * UNIT_LENGTH_METERS);
+
+    return {
+        throatRadius: b0 * UNIT_LENGTH_METERS,
+        exoticEnergyDensity: 0,
+        tidalAcceleration: SPEED_OF_LIGHT * SPEED_OF_LIGHT * tidalCurvature * TRAVELLER_HEIGHT / STANDARD_GRAVITY,
+        timeDilation: r > b0 ? 1 / Math.sqrt(1 - b0 / r) : Infinity
+    };
+}
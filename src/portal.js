@@ -0,0 +1,71 @@
+/**
+ * portal.js - The exit mouth as a window onto the far universe
+ *
+ * The far universe's background is rendered into a cube render target from the
+ * wormhole's centre (the same capture the ray tracer uses for its far side), and
+ * the exit disc samples it in the direction from the eye. Its stars and nebulae are
+ * effectively at infinity, so no second camera has to follow the view, and the
+ * window is right for both eyes in a headset and every face of a projection.
+ */
+import * as THREE from 'three';
+
+const PortalShader = {
+    vertexShader: `
+        varying vec3 vWorldPosition;
+        varying vec2 vUv;
+
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+
+        void main() {
+            vUv = uv;
+            vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+            vWorldPosition = worldPosition.xyz;
+            gl_Position = projectionMatrix * viewMatrix * worldPosition;
+
+            #include <logdepthbuf_vertex>
+        }
+    `,
+
+    fragmentShader: `
+        uniform samplerCube farSky;
+        uniform float opacity;
+        varying vec3 vWorldPosition;
+        varying vec2 vUv;
+
+        #include <common>
+        #include <logdepthbuf_pars_fragment>
+
+        void main() {
+            #include <logdepthbuf_fragment>
+
+            vec3 direction = normalize(vWorldPosition - cameraPosition);
+            vec3 color = textureCube(farSky, direction).rgb;
+
+            // Soft rim, so the window blends into the mouth
+            float rim = smoothstep(0.5, 0.38, length(vUv - 0.5));
+            gl_FragColor = vec4(color, opacity * rim);
+
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+        }
+    `
+};
+
+/**
+ * Material for a disc showing the sky captured in `farSky` (a cube texture).
+ * Fade it with `material.uniforms.opacity`.
+ */
+export function createPortalMaterial(farSky) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            farSky: { value: farSky },
+            opacity: { value: 0 }
+        },
+        vertexShader: PortalShader.vertexShader,
+        fragmentShader: PortalShader.fragmentShader,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+}
@@ -0,0 +1,388 @@
+/**
+ * presets.js - Named scene presets, saved in the browser or shared as JSON files
+ *
+ * A preset is a versioned document:
+ *
+ *   {
+ *     "format": "wormhole-preset",
+ *     "version": 1,
+ *     "name": "Blue Shift",
+ *     "scene": { "distortion": 70, "type": "two-way", "seed": "andromeda", "mode": "wireframe",
+ *                "projection": "standard", "particles": "flow", "camera": [0, 0, 1200],
+ *                "target": [0, 0, 0], "zoom": 1 },
+ *     "journey": { "id": "classic", "speed": 1 },
+ *     "disk": { "shown": true, "mode": "relativistic", "innerRadius": 400, "outerRadius": 700,
+ *               "temperature": 9000, "inclination": 90 },
+ *     "effects": { "bloom": 1.5 }
+ *   }
+ *
+ * Every group and field is optional; whatever is left out keeps its current value.
+ * Settings that belong to the browser rather than the scene (quality, motion, texture
+ * source and sound) are not part of a preset. Nor are colours: the wormhole's come
+ * from its type (see wormholes.js) and the relativistic disk's from its temperature.
+ *
+ * validatePreset() upgrades older documents one version at a time through MIGRATIONS,
+ * then keeps only the fields that pass SCHEMA and lists the rest. Bump PRESET_VERSION
+ * and add a migration from the previous version whenever a field changes.
+ */
+import * as THREE from 'three';
+import { WORMHOLE_TYPES } from './wormholes.js';
+import { JOURNEYS } from './journeys.js';
+import { PROJECTIONS } from './projection.js';
+import { TIMELINE_SPEEDS } from './timeline.js';
+import { DISK_MODES, DISK_LIMITS, DISK_DEFAULTS } from './accretion.js';
+import { downloadBlob } from './exporter.js';
+
+export const PRESET_FORMAT = 'wormhole-preset';
+export const PRESET_VERSION = 1;
+
+// Remembered between visits, as a list of preset documents
+const PRESETS_KEY = 'wormhole-presets';
+
+const MAX_NAME_LENGTH = 60;
+
+// ======== SCHEMA ========
+// Each field's validator returns the cleaned value, or undefined to drop it
+const number = (min, max) => (value) => {
+    return typeof value === 'number' && Number.isFinite(value) ? THREE.MathUtils.clamp(value, min, max) : undefined;
+};
+const oneOf = (options) => (value) => options.includes(value) ? value : undefined;
+const text = (maxLength) => (value) => {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : undefined;
+};
+const flag = (value) => typeof value === 'boolean' ? value : undefined;
+const vector = (value) => {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite) ? [...value] : undefined;
+};
+
+const SCHEMA = {
+    scene: {
+        distortion: number(0, 100),
+        type: oneOf(Object.keys(WORMHOLE_TYPES)),
+        seed: text(64),
+        mode: oneOf(['wireframe', 'raytraced']),
+        projection: oneOf(Object.keys(PROJECTIONS)),
+        particles: oneOf(['ambient', 'flow']),
+        camera: vector,
+        target: vector,
+        zoom: number(0.1, 10)
+    },
+    journey: {
+        id: oneOf(Object.keys(JOURNEYS)),
+        speed: oneOf(TIMELINE_SPEEDS)
+    },
+    disk: {
+        shown: flag,
+        mode: oneOf(Object.keys(DISK_MODES)),
+        innerRadius: number(...DISK_LIMITS.innerRadius),
+        outerRadius: number(...DISK_LIMITS.outerRadius),
+        temperature: number(...DISK_LIMITS.temperature),
+        inclination: number(...DISK_LIMITS.inclination)
+    },
+    effects: {
+        bloom: number(0, 3)
+    }
+};
+
+// ======== MIGRATIONS ========
+// Upgrade a document from each version to the next
+const MIGRATIONS = {
+    // Version 0 is a bare scene state, as a viewer's readState() returns it (the fields
+    // of a permalink), so those can be imported too
+    0: ({ version, journey, progress, name, ...scene }) => ({
+        format: PRESET_FORMAT,
+        version: 1,
+        name,
+        scene,
+        ...(journey !== undefined && { journey: { id: journey } })
+    })
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function migratePreset(data) {
+    // Anything without a format is taken for a bare scene state
+    let document = data.format === undefined ? { ...data, version: 0 } : data;
+
+    if (document.format !== undefined && document.format !== PRESET_FORMAT) {
+        throw new Error(`Not a wormhole preset (format "${document.format}")`);
+    }
+    if (!Number.isInteger(document.version) || document.version < 0) {
+        throw new Error('The preset has no valid version');
+    }
+    if (document.version > PRESET_VERSION) {
+        throw new Error(`The preset is from a newer version of the viewer (version ${document.version})`);
+    }
+
+    while (document.version < PRESET_VERSION) {
+        document = MIGRATIONS[document.version](document);
+    }
+    return document;
+}
+
+/**
+ * Check a parsed JSON document and bring it up to the current version. Returns the
+ * clean `preset` and the fields that were `ignored` (unknown or invalid); throws an
+ * Error if the document is not a preset at all.
+ */
+export function validatePreset(data) {
+    if (!isObject(data)) throw new Error('A preset must be a JSON object');
+
+    const document = migratePreset(data);
+    const preset = {
+        format: PRESET_FORMAT,
+        version: PRESET_VERSION,
+        name: text(MAX_NAME_LENGTH)(document.name) || 'Untitled'
+    };
+    const ignored = [];
+
+    Object.entries(document).forEach(([group, values]) => {
+        if (['format', 'version', 'name'].includes(group)) return;
+
+        const fields = SCHEMA[group];
+        if (!fields || !isObject(values)) {
+            ignored.push(group);
+            return;
+        }
+
+        preset[group] = {};
+        Object.entries(values).forEach(([key, value]) => {
+            const clean = fields[key] ? fields[key](value) : undefined;
+            if (clean === undefined) ignored.push(`${group}.${key}`);
+            else preset[group][key] = clean;
+        });
+    });
+
+    return { preset, ignored };
+}
+
+/**
+ * A preset document named `name` for a viewer's preset state
+ */
+export function createPreset(name, state) {
+    return validatePreset({ format: PRESET_FORMAT, version: PRESET_VERSION, name, ...state }).preset;
+}
+
+// ======== BUNDLED PRESETS ========
+// The view and disk each bundled preset starts from, so none depends on what came before
+const BASE_SCENE = { mode: 'wireframe', projection: 'standard', particles: 'ambient', target: [0, 0, 0], zoom: 1 };
+const BASE_DISK = { shown: true, ...DISK_DEFAULTS };
+
+export const BUNDLED_PRESETS = [
+    {
+        format: PRESET_FORMAT,
+        version: 1,
+        name: 'Blue Shift',
+        scene: { ...BASE_SCENE, distortion: 70, type: 'two-way', camera: [900, 300, 900] },
+        journey: { id: 'classic', speed: 1 },
+        disk: { ...BASE_DISK, mode: 'relativistic', innerRadius: 420, outerRadius: 1100, temperature: 12000, inclination: 70 },
+        effects: { bloom: 1.8 }
+    },
+    {
+        format: PRESET_FORMAT,
+        version: 1,
+        name: 'Crossing to Another Universe',
+        scene: { ...BASE_SCENE, distortion: 55, type: 'inter-universe', seed: 'andromeda', particles: 'flow', camera: [0, 0, 1200] },
+        journey: { id: 'classic', speed: 1 },
+        disk: { ...BASE_DISK, shown: false },
+        effects: { bloom: 1.5 }
+    },
+    {
+        format: PRESET_FORMAT,
+        version: 1,
+        name: 'Frozen Horizon',
+        scene: { ...BASE_SCENE, distortion: 100, type: 'schwarzschild', mode: 'raytraced', camera: [0, 250, 1100] },
+        journey: { id: 'science', speed: 0.5 },
+        disk: { ...BASE_DISK, mode: 'relativistic', innerRadius: 500, outerRadius: 900, temperature: 4000, inclination: 80 },
+        effects: { bloom: 1.2 }
+    },
+    {
+        format: PRESET_FORMAT,
+        version: 1,
+        name: 'Drainhole Stream',
+        scene: { ...BASE_SCENE, distortion: 20, type: 'ellis', particles: 'flow', camera: [1300, 0, 400] },
+        journey: { id: 'spiral', speed: 1 },
+        disk: { ...BASE_DISK, shown: false },
+        effects: { bloom: 2.2 }
+    },
+    {
+        format: PRESET_FORMAT,
+        version: 1,
+        name: 'Planetarium Dome',
+        scene: { ...BASE_SCENE, distortion: 50, type: 'rotating', projection: 'domemaster', camera: [0, 0, 1200] },
+        journey: { id: 'spiral', speed: 0.5 },
+        disk: { ...BASE_DISK, mode: 'relativistic', temperature: 7000, inclination: 0 },
+        effects: { bloom: 1.5 }
+    }
+];
+
+// ======== STORAGE ========
+export function readSavedPresets() {
+    try {
+        const documents = JSON.parse(localStorage.getItem(PRESETS_KEY));
+        if (!Array.isArray(documents)) return [];
+
+        // Stored by an older version, or edited by hand: keep what still validates
+        return documents.flatMap(document => {
+            try {
+                return [validatePreset(document).preset];
+            } catch (error) {
+                return [];
+            }
+        });
+    } catch (error) {
+        return []; // Nothing stored, or storage is blocked
+    }
+}
+
+function storeSavedPresets(presets) {
+    try {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// File name for an exported preset
+function presetFilename(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'wormhole-preset'}.json`;
+}
+
+/**
+ * Wire up the preset controls in a viewer's controls panel. `controls` reads and
+ * applies the viewer's preset state (see initScene).
+ */
+export function initPresetControls(viewer, controls) {
+    const { root, lifecycle } = viewer;
+    const presetSelect = root.getElementById('preset-select');
+    const nameInput = root.getElementById('preset-name');
+    const saveBtn = root.getElementById('preset-save');
+    const deleteBtn = root.getElementById('preset-delete');
+    const exportBtn = root.getElementById('preset-export');
+    const importBtn = root.getElementById('preset-import');
+    const fileInput = root.getElementById('preset-file');
+    const presetStatus = root.getElementById('preset-status');
+    if (!presetSelect) return;
+
+    const signal = lifecycle.signal;
+    let saved = readSavedPresets();
+
+    // Bundled presets first, then the saved ones; values are "bundled:<index>" or "saved:<index>"
+    function fillSelect(selected = '') {
+        presetSelect.replaceChildren();
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Choose a preset...';
+        presetSelect.appendChild(placeholder);
+
+        [['Bundled', 'bundled', BUNDLED_PRESETS], ['Saved', 'saved', saved]].forEach(([label, source, presets]) => {
+            if (!presets.length) return;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach((preset, index) => {
+                const option = document.createElement('option');
+                option.value = `${source}:${index}`;
+                option.textContent = preset.name;
+                group.appendChild(option);
+            });
+            presetSelect.appendChild(group);
+        });
+
+        presetSelect.value = selected;
+        deleteBtn.disabled = !presetSelect.value.startsWith('saved:');
+    }
+
+    function selectedPreset() {
+        const [source, index] = presetSelect.value.split(':');
+        if (source === 'bundled') return BUNDLED_PRESETS[index];
+        if (source === 'saved') return saved[index];
+        return null;
+    }
+
+    function applyPreset(preset) {
+        controls.applyPresetState(preset);
+        nameInput.value = preset.name;
+    }
+
+    // Saving under an existing name replaces that preset
+    function savePreset(preset) {
+        const index = saved.findIndex(existing => existing.name === preset.name);
+        if (index === -1) saved.push(preset);
+        else saved[index] = preset;
+
+        const stored = storeSavedPresets(saved);
+        fillSelect(`saved:${saved.indexOf(preset)}`);
+        return stored;
+    }
+
+    presetSelect.addEventListener('change', () => {
+        deleteBtn.disabled = !presetSelect.value.startsWith('saved:');
+        if (!selectedPreset()) return;
+
+        const { preset } = validatePreset(selectedPreset());
+        applyPreset(preset);
+        presetStatus.textContent = `Applied "${preset.name}"`;
+    }, { signal });
+
+    saveBtn.addEventListener('click', () => {
+        const name = text(MAX_NAME_LENGTH)(nameInput.value);
+        if (!name) {
+            presetStatus.textContent = "Name the preset first";
+            nameInput.focus();
+            return;
+        }
+
+        const stored = savePreset(createPreset(name, controls.readPresetState()));
+        presetStatus.textContent = stored ? `Saved "${name}"` : `Saved "${name}" for this visit only (storage is blocked)`;
+    }, { signal });
+
+    nameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') saveBtn.click();
+    }, { signal });
+
+    deleteBtn.addEventListener('click', () => {
+        const preset = selectedPreset();
+        if (!preset || !presetSelect.value.startsWith('saved:')) return;
+
+        saved = saved.filter(existing => existing !== preset);
+        storeSavedPresets(saved);
+        fillSelect();
+        presetStatus.textContent = `Deleted "${preset.name}"`;
+    }, { signal });
+
+    // The current state, named after the name field
+    exportBtn.addEventListener('click', () => {
+        const preset = createPreset(nameInput.value, controls.readPresetState());
+        const json = JSON.stringify(preset, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), presetFilename(preset.name));
+        presetStatus.textContent = `Exported "${preset.name}"`;
+    }, { signal });
+
+    // An imported file is applied and kept with the saved presets
+    importBtn.addEventListener('click', () => fileInput.click(), { signal });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const { preset, ignored } = validatePreset(JSON.parse(await file.text()));
+            if (lifecycle.disposed) return;
+
+            applyPreset(preset);
+            savePreset(preset);
+            presetStatus.textContent = ignored.length
+                ? `Imported "${preset.name}", ignoring ${ignored.join(', ')}`
+                : `Imported "${preset.name}"`;
+        } catch (error) {
+            presetStatus.textContent = `Import failed: ${error.message}`;
+        }
+    }, { signal });
+
+    fillSelect();
+}
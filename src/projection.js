@@ -0,0 +1,233 @@
+/**
+ * projection.js - Panoramic, stereo and fulldome output of the scene
+ *
+ * In a projection mode the scene is captured around the camera into a cube map
+ * (two, offset sideways, for stereo) and a full-screen pass remaps the cube to
+ * the output format. The pass stands in for the scene passes at the head of the
+ * composer, so bloom and glitches are applied to the finished projection.
+ *
+ * The ray tracer is per-pixel exact, so in ray-traced mode it is run once per cube
+ * face. Screen-space lensing has no meaning across cube faces and is left out.
+ *
+ * Formats, oriented on the camera (its view direction is the centre of each image):
+ *   equirect    360° x 180° equirectangular, 2:1
+ *   vr180       180° x 180° equirectangular per eye, left eye on the left, 2:1
+ *   domemaster  180° azimuthal equidistant fisheye in a square, zenith straight ahead
+ */
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import { BACKGROUND_LAYER } from './lensing.js';
+import { setRaytraceCamera } from './raytrace.js';
+
+// Output formats; `aspect` is width / height of the finished image
+export const PROJECTIONS = {
+    standard: { name: 'Standard', aspect: null },
+    equirect: { name: 'Equirectangular 360°', aspect: 2, shader: 0 },
+    vr180: { name: 'VR180 Side-by-Side', aspect: 2, shader: 1, stereo: true },
+    domemaster: { name: 'Fisheye Domemaster', aspect: 1, shader: 2 }
+};
+
+// Distance between the stereo eyes. At the true scale (1 unit = 1 km) human eyes
+// would see no depth at all, so this is a hyperstereo base that shows the throat as a model
+const STEREO_SEPARATION = 8;
+
+// Cube face size limits (every format spans 180° vertically, so a face covers half the height)
+const MIN_FACE_SIZE = 64;
+const MAX_FACE_SIZE = 2048;
+
+/**
+ * Size of a `projection` frame for an export requested at width x height:
+ * the height is kept and the width follows the format
+ */
+export function projectionSize(projection, width, height) {
+    const aspect = (PROJECTIONS[projection] || PROJECTIONS.standard).aspect;
+    return aspect ? { width: Math.round(height * aspect / 2) * 2, height } : { width, height };
+}
+
+const ProjectionShader = {
+    uniforms: {
+        leftEye: { value: null },
+        rightEye: { value: null },
+        format: { value: 0 },
+        outputAspect: { value: 1.0 },
+        projectionAspect: { value: 2.0 }
+    },
+
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        uniform samplerCube leftEye;
+        uniform samplerCube rightEye;
+        uniform int format;
+        uniform float outputAspect;
+        uniform float projectionAspect;
+        varying vec2 vUv;
+
+        const float PI = 3.141592653589793;
+
+        // Direction for a longitude/latitude pair, in the camera's frame (-z ahead, +y up)
+        vec3 sphereDirection(float longitude, float latitude) {
+            return vec3(sin(longitude) * cos(latitude), sin(latitude), -cos(longitude) * cos(latitude));
+        }
+
+        void main() {
+            // Fit the image inside the canvas, with black bars around it
+            vec2 fit = vec2(max(outputAspect / projectionAspect, 1.0), max(projectionAspect / outputAspect, 1.0));
+            vec2 p = (vUv - 0.5) * fit + 0.5;
+            if (p.x < 0.0 || p.x > 1.0 || p.y < 0.0 || p.y > 1.0) {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
+            }
+
+            vec3 direction;
+            bool right = false;
+
+            if (format == 0) {
+                direction = sphereDirection((p.x - 0.5) * 2.0 * PI, (p.y - 0.5) * PI);
+            } else if (format == 1) {
+                right = p.x >= 0.5;
+                float x = fract(p.x * 2.0);
+                direction = sphereDirection((x - 0.5) * PI, (p.y - 0.5) * PI);
+            } else {
+                vec2 disc = (p - 0.5) * 2.0;
+                float radius = length(disc);
+                if (radius > 1.0) {
+                    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                    return;
+                }
+
+                // Angle from the zenith grows linearly with the distance from the centre
+                float polar = radius * PI * 0.5;
+                float azimuth = atan(disc.y, disc.x);
+                direction = vec3(sin(polar) * cos(azimuth), sin(polar) * sin(azimuth), -cos(polar));
+            }
+
+            gl_FragColor = right ? textureCube(rightEye, direction) : textureCube(leftEye, direction);
+        }
+    `
+};
+
+/**
+ * The pass rendering `scene` around `camera` in one of the PROJECTIONS.
+ * Disabled until a projection other than 'standard' is selected.
+ */
+export class ProjectionPass extends Pass {
+    constructor(scene, camera) {
+        super();
+
+        this.scene = scene;
+        this.camera = camera;
+        this.projection = 'equirect';
+        this.raytracePass = null; // Set in ray-traced mode to trace each face instead of rasterising
+        this.needsSwap = false; // Like a render pass, it draws into the read buffer
+        this.enabled = false;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(ProjectionShader.uniforms),
+            vertexShader: ProjectionShader.vertexShader,
+            fragmentShader: ProjectionShader.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this._fsQuad = new FullScreenQuad(this.material);
+
+        this._eyes = [this._createEye(MIN_FACE_SIZE), this._createEye(MIN_FACE_SIZE)];
+        this._faceSize = MIN_FACE_SIZE;
+        this._size = new THREE.Vector2(1, 1);
+
+        // Scratch objects
+        this._position = new THREE.Vector3();
+        this._quaternion = new THREE.Quaternion();
+        this._offset = new THREE.Vector3();
+    }
+
+    _createEye(size) {
+        const renderTarget = new THREE.WebGLCubeRenderTarget(size, { type: THREE.HalfFloatType });
+        const cubeCamera = new THREE.CubeCamera(this.camera.near, this.camera.far, renderTarget);
+
+        // Both layers: there is no separate background to lens
+        cubeCamera.children.forEach(child => {
+            child.layers.enable(0);
+            child.layers.enable(BACKGROUND_LAYER);
+        });
+        return { renderTarget, cubeCamera };
+    }
+
+    setSize(width, height) {
+        this._size.set(width, height);
+        this.material.uniforms.outputAspect.value = width / height;
+    }
+
+    // Cube resolution that matches the pixels the image has on screen
+    _updateFaceSize(aspect) {
+        const imageHeight = Math.min(this._size.y, this._size.x / aspect);
+        const faceSize = THREE.MathUtils.clamp(Math.ceil(imageHeight / 2), MIN_FACE_SIZE, MAX_FACE_SIZE);
+        if (faceSize === this._faceSize) return;
+
+        this._faceSize = faceSize;
+        this._eyes.forEach(eye => eye.renderTarget.dispose());
+        this._eyes = [this._createEye(faceSize), this._createEye(faceSize)];
+    }
+
+    // Capture the scene around the camera, shifted sideways by `offset`
+    _captureEye(renderer, eye, offset) {
+        const { cubeCamera, renderTarget } = eye;
+
+        this.camera.getWorldPosition(this._position);
+        this.camera.getWorldQuaternion(this._quaternion);
+        this._offset.set(offset, 0, 0).applyQuaternion(this._quaternion);
+
+        cubeCamera.position.copy(this._position).add(this._offset);
+        cubeCamera.quaternion.copy(this._quaternion);
+        cubeCamera.updateMatrixWorld(true);
+
+        if (!this.raytracePass) {
+            cubeCamera.update(renderer, this.scene);
+            return;
+        }
+
+        // CubeCamera.update() also sets its faces up for the renderer's coordinate system
+        if (cubeCamera.coordinateSystem !== renderer.coordinateSystem) {
+            cubeCamera.coordinateSystem = renderer.coordinateSystem;
+            cubeCamera.updateCoordinateSystem();
+        }
+
+        cubeCamera.children.forEach((faceCamera, face) => {
+            setRaytraceCamera(this.raytracePass, faceCamera);
+            renderer.setRenderTarget(renderTarget, face);
+            this.raytracePass._fsQuad.render(renderer);
+        });
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        const projection = PROJECTIONS[this.projection];
+        const uniforms = this.material.uniforms;
+        this._updateFaceSize(projection.aspect);
+
+        const currentTarget = renderer.getRenderTarget();
+        const separation = projection.stereo ? STEREO_SEPARATION : 0;
+        this._captureEye(renderer, this._eyes[0], -separation / 2);
+        if (projection.stereo) this._captureEye(renderer, this._eyes[1], separation / 2);
+        renderer.setRenderTarget(currentTarget);
+
+        uniforms.leftEye.value = this._eyes[0].renderTarget.texture;
+        uniforms.rightEye.value = this._eyes[projection.stereo ? 1 : 0].renderTarget.texture;
+        uniforms.format.value = projection.shader;
+        uniforms.projectionAspect.value = projection.aspect;
+
+        renderer.setRenderTarget(this.renderToScreen ? null : readBuffer);
+        this._fsQuad.render(renderer);
+    }
+
+    dispose() {
+        this._eyes.forEach(eye => eye.renderTarget.dispose());
+        this.material.dispose();
+        this._fsQuad.dispose();
+    }
+}
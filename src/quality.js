@@ -0,0 +1,132 @@
+/**
+ * quality.js - Quality tiers and the governor that picks one from the measured frame rate
+ *
+ * In Auto mode the governor averages the frame rate over short windows, steps down
+ * as soon as it drops below the target and only steps up again after a sustained
+ * run at full speed. An upgrade that immediately causes a drop blocks further
+ * upgrades for a while, so the tier does not oscillate.
+ */
+
+export const QUALITY_TIERS = {
+    low: {
+        label: 'Low',
+        maxPixelRatio: 0.75,
+        bloomScale: 0.25,
+        particleScale: 0.35,
+        sphereDetail: 0.5,
+        glitch: false
+    },
+    medium: {
+        label: 'Medium',
+        maxPixelRatio: 1,
+        bloomScale: 0.5,
+        particleScale: 0.7,
+        sphereDetail: 0.75,
+        glitch: true
+    },
+    high: {
+        label: 'High',
+        maxPixelRatio: 2,
+        bloomScale: 1,
+        particleScale: 1,
+        sphereDetail: 1,
+        glitch: true
+    }
+};
+
+// Lowest to highest
+export const QUALITY_ORDER = ['low', 'medium', 'high'];
+
+// Governor tuning (seconds and frames per second)
+const SAMPLE_WINDOW = 2;
+const DOWNGRADE_FPS = 45;
+const UPGRADE_FPS = 57;
+const UPGRADE_WINDOWS = 3;
+const FAILED_UPGRADE_GRACE = 4;
+const UPGRADE_BACKOFF = 30;
+
+/**
+ * Scale a sphere segment count for a tier, keeping spheres round
+ */
+export function sphereSegments(segments, tier) {
+    return Math.max(8, Math.round(segments * tier.sphereDetail));
+}
+
+/**
+ * Scale a particle count for a tier
+ */
+export function particleCount(count, tier) {
+    return Math.max(1, Math.round(count * tier.particleScale));
+}
+
+/**
+ * Create the quality governor. `onChange(tierName)` applies a tier to the scene.
+ * `mode` is 'auto' or a tier name.
+ */
+export function createQualityGovernor({ onChange, mode = 'auto', tier = 'high' }) {
+    let clock = 0;
+    let windowTime = 0;
+    let windowFrames = 0;
+    let fastWindows = 0;
+    let lastChange = -Infinity;
+    let lastChangeWasUpgrade = false;
+    let upgradeBlockedUntil = 0;
+
+    const governor = {
+        mode,
+        tier,
+
+        // Switch between 'auto' and a fixed tier
+        setMode(nextMode) {
+            this.mode = nextMode === 'auto' || QUALITY_TIERS[nextMode] ? nextMode : 'auto';
+            fastWindows = 0;
+            upgradeBlockedUntil = 0;
+            if (this.mode !== 'auto') setTier(this.mode, false);
+        },
+
+        // Feed one frame's real duration (seconds)
+        sample(frameDelta) {
+            clock += frameDelta;
+            windowTime += frameDelta;
+            windowFrames++;
+            if (windowTime < SAMPLE_WINDOW) return;
+
+            const fps = windowFrames / windowTime;
+            windowTime = 0;
+            windowFrames = 0;
+            if (this.mode !== 'auto') return;
+
+            const index = QUALITY_ORDER.indexOf(this.tier);
+
+            if (fps < DOWNGRADE_FPS) {
+                fastWindows = 0;
+                if (index === 0) return;
+
+                // The last upgrade was too much; stay below it for a while
+                if (lastChangeWasUpgrade && clock - lastChange < FAILED_UPGRADE_GRACE + SAMPLE_WINDOW) {
+                    upgradeBlockedUntil = clock + UPGRADE_BACKOFF;
+                }
+                setTier(QUALITY_ORDER[index - 1], false);
+            } else if (fps >= UPGRADE_FPS) {
+                fastWindows++;
+                if (fastWindows >= UPGRADE_WINDOWS && index < QUALITY_ORDER.length - 1 && clock >= upgradeBlockedUntil) {
+                    fastWindows = 0;
+                    setTier(QUALITY_ORDER[index + 1], true);
+                }
+            } else {
+                fastWindows = 0;
+            }
+        }
+    };
+
+    function setTier(name, upgrade) {
+        lastChange = clock;
+        lastChangeWasUpgrade = upgrade;
+        if (name === governor.tier) return;
+
+        governor.tier = name;
+        onChange(name);
+    }
+
+    return governor;
+}
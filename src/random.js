@@ -0,0 +1,55 @@
+/**
+ * random.js - Seeded pseudo-random numbers for reproducible universes
+ *
+ * Every generator asks for its own named stream, so adding stars never
+ * reshuffles the planets and the same seed always gives the same sky.
+ */
+
+/**
+ * Hash any string into a 32-bit unsigned integer (cyrb53, folded)
+ */
+export function hashSeed(value) {
+    const text = String(value);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * Create a Math.random() replacement (mulberry32) for a seed and stream name
+ */
+export function createRandom(seed, stream = '') {
+    let state = hashSeed(`${seed}:${stream}`);
+
+    return function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick a fresh seed for a new universe
+ */
+export function randomSeed() {
+    return String(Math.floor(Math.random() * 1e9));
+}
+
+/**
+ * Normalise user input into a seed string (trimmed, never empty)
+ */
+export function normalizeSeed(value) {
+    const text = String(value ?? '').trim();
+    return text.length ? text.slice(0, 64) : randomSeed();
+}
@@ -0,0 +1,214 @@
+/**
+ * raytrace.js - Full-screen ray-traced rendering of an Ellis wormhole
+ *
+ * Follows the approach of James, von Tunzelmann, Franklin & Thorne (2015):
+ * each pixel's light ray is traced backwards through the Ellis metric
+ *   ds² = -dt² + dl² + (b0² + l²) dΩ²
+ * until it escapes to one of the two asymptotic regions, then the sky of
+ * that universe is sampled in the escape direction. l > 0 is our universe.
+ */
+import * as THREE from 'three';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { BACKGROUND_LAYER } from './lensing.js';
+
+// Resolution of the captured starfield cube map
+const SKY_RESOLUTION = 512;
+
+const RaytraceShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        skyNear: { value: null },
+        skyFar: { value: null },
+        useFarSky: { value: 0.0 },
+        cameraWorldMatrix: { value: new THREE.Matrix4() },
+        cameraProjectionMatrixInverse: { value: new THREE.Matrix4() },
+        eyePosition: { value: new THREE.Vector3() },
+        throatRadius: { value: 160.0 }
+    },
+
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        uniform samplerCube skyNear;
+        uniform samplerCube skyFar;
+        uniform float useFarSky;
+        uniform mat4 cameraWorldMatrix;
+        uniform mat4 cameraProjectionMatrixInverse;
+        uniform vec3 eyePosition;
+        uniform float throatRadius;
+        varying vec2 vUv;
+
+        const int MAX_STEPS = 320;
+        const float ESCAPE_DISTANCE = 60.0; // In units of b0
+
+        float hash3(vec3 p) {
+            p = fract(p * 0.3183099 + 0.1);
+            p *= 17.0;
+            return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+        }
+
+        float noise3(vec3 x) {
+            vec3 i = floor(x);
+            vec3 f = fract(x);
+            f = f * f * (3.0 - 2.0 * f);
+            return mix(mix(mix(hash3(i + vec3(0, 0, 0)), hash3(i + vec3(1, 0, 0)), f.x),
+                           mix(hash3(i + vec3(0, 1, 0)), hash3(i + vec3(1, 1, 0)), f.x), f.y),
+                       mix(mix(hash3(i + vec3(0, 0, 1)), hash3(i + vec3(1, 0, 1)), f.x),
+                           mix(hash3(i + vec3(0, 1, 1)), hash3(i + vec3(1, 1, 1)), f.x), f.y), f.z);
+        }
+
+        // Procedural sky for the far universe: magenta nebula and a dense warm starfield
+        vec3 proceduralFarSky(vec3 dir) {
+            float n = 0.0;
+            float amplitude = 0.5;
+            vec3 p = dir * 3.0;
+            for (int i = 0; i < 4; i++) {
+                n += amplitude * noise3(p);
+                p *= 2.1;
+                amplitude *= 0.5;
+            }
+
+            vec3 color = mix(vec3(0.02, 0.0, 0.05), vec3(0.55, 0.12, 0.45), n * n);
+            color += vec3(0.9, 0.4, 0.1) * pow(max(0.0, 1.0 - abs(dir.y) * 4.0), 3.0) * 0.15;
+
+            vec3 cell = floor(dir * 220.0);
+            float star = step(0.997, hash3(cell));
+            color += star * mix(vec3(1.0, 0.8, 0.6), vec3(0.8, 0.9, 1.0), hash3(cell + 7.0));
+
+            return color;
+        }
+
+        void main() {
+            // Primary ray in world space
+            vec2 ndc = vUv * 2.0 - 1.0;
+            vec4 viewPoint = cameraProjectionMatrixInverse * vec4(ndc, 1.0, 1.0);
+            vec3 dir = normalize((cameraWorldMatrix * vec4(viewPoint.xyz / viewPoint.w, 0.0)).xyz);
+
+            // Camera position in wormhole coordinates (units of b0); the axis runs along world z
+            vec3 pos = eyePosition / throatRadius;
+            float R = length(pos);
+            float side = pos.z >= 0.0 ? 1.0 : -1.0;
+            vec3 angular = R > 1e-4 ? pos / R : vec3(0.0, 0.0, side);
+            vec3 lAxis = side * angular; // Direction of increasing l
+            float l = side * sqrt(max(R * R - 1.0, 0.0));
+
+            // Split the ray into its l and tangential parts; the motion stays in that plane
+            float pl = dot(dir, lAxis);
+            vec3 tangential = dir - pl * lAxis;
+            float tl = length(tangential);
+            vec3 tangent = tl > 1e-5 ? tangential / tl : normalize(cross(lAxis, vec3(0.0, 1.0, 0.1)));
+            float b = sqrt(1.0 + l * l) * tl; // Conserved angular momentum
+            float phi = 0.0;
+            bool escaped = false;
+
+            // Integrate dl = p_l, dp_l = b² l / r⁴, dphi = b / r² with an adaptive midpoint step
+            for (int i = 0; i < MAX_STEPS; i++) {
+                float r2 = 1.0 + l * l;
+                if (abs(l) > ESCAPE_DISTANCE) {
+                    escaped = true;
+                    break;
+                }
+
+                float h = 0.05 * sqrt(r2);
+                float lMid = l + 0.5 * h * pl;
+                float pMid = pl + 0.5 * h * b * b * l / (r2 * r2);
+                float r2Mid = 1.0 + lMid * lMid;
+
+                l += h * pMid;
+                pl += h * b * b * lMid / (r2Mid * r2Mid);
+                phi += h * b / r2Mid;
+            }
+
+            if (!escaped) {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
+            }
+
+            // Escape direction in the asymptotically flat region
+            float r = sqrt(1.0 + l * l);
+            vec3 radialOut = cos(phi) * angular + sin(phi) * tangent;
+            vec3 azimuthal = -sin(phi) * angular + cos(phi) * tangent;
+            vec3 skyDir = normalize((l / r) * pl * radialOut + (b / r) * azimuthal);
+
+            vec3 color;
+            if (l > 0.0) {
+                color = textureCube(skyNear, skyDir).rgb;
+            } else if (useFarSky > 0.5) {
+                color = textureCube(skyFar, skyDir).rgb;
+            } else {
+                color = proceduralFarSky(skyDir);
+            }
+
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
+
+/**
+ * Create the ray-tracing pass (disabled until the mode is selected)
+ */
+export function createRaytracePass() {
+    const pass = new ShaderPass(RaytraceShader);
+    pass.enabled = false;
+    return pass;
+}
+
+/**
+ * Create a cube camera that captures the background starfield for the near sky
+ */
+export function createSkyCapture() {
+    const renderTarget = new THREE.WebGLCubeRenderTarget(SKY_RESOLUTION, {
+        generateMipmaps: true,
+        minFilter: THREE.LinearMipmapLinearFilter
+    });
+
+    const cubeCamera = new THREE.CubeCamera(1, 10000, renderTarget);
+    cubeCamera.children.forEach(child => child.layers.set(BACKGROUND_LAYER));
+
+    return { cubeCamera, renderTarget };
+}
+
+/**
+ * Render the background into the capture from the wormhole's centre
+ */
+export function captureSky(capture, renderer, scene, pass) {
+    capture.cubeCamera.position.set(0, 0, 0);
+    capture.cubeCamera.update(renderer, scene);
+    pass.uniforms.skyNear.value = capture.renderTarget.texture;
+}
+
+/**
+ * Render another universe's background into a capture, for the far side of the throat.
+ * The tracer only uses it while `useFarSky` is set; otherwise it draws a procedural sky.
+ */
+export function captureFarSky(capture, renderer, scene, pass) {
+    capture.cubeCamera.position.set(0, 0, 0);
+    capture.cubeCamera.update(renderer, scene);
+    pass.uniforms.skyFar.value = capture.renderTarget.texture;
+}
+
+/**
+ * Trace rays from `camera` (the projection pass traces from each cube face in turn)
+ */
+export function setRaytraceCamera(pass, camera) {
+    const uniforms = pass.uniforms;
+
+    camera.updateMatrixWorld();
+    uniforms.cameraWorldMatrix.value.copy(camera.matrixWorld);
+    uniforms.cameraProjectionMatrixInverse.value.copy(camera.projectionMatrixInverse);
+    uniforms.eyePosition.value.setFromMatrixPosition(camera.matrixWorld);
+}
+
+/**
+ * Feed the current camera and throat size to the ray tracer
+ */
+export function updateRaytracePass(pass, camera, shape) {
+    setRaytraceCamera(pass, camera);
+    pass.uniforms.throatRadius.value = shape.throatRadius;
+}
@@ -4,92 +4,265 @@
  */
 import * as THREE from 'three';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { GlitchPass } from 'three/examples/jsm/postprocessing/GlitchPass.js';
+import { createLayerRenderPass, createLensingPass, BACKGROUND_LAYER } from './lensing.js';
+import { createRaytracePass, createSkyCapture, captureSky, captureFarSky } from './raytrace.js';
+import { createRandom, normalizeSeed, randomSeed } from './random.js';
+import { initPermalinks, parsePermalink } from './permalink.js';
+import { JOURNEYS, DEFAULT_JOURNEY, createJourneyTrack, sampleJourney, journeyTimeAt } from './journeys.js';
+import { createTimeline, TIMELINE_SPEEDS } from './timeline.js';
+import { createParticlePoints, createThroatFlow, DEFAULT_PARTICLE_COUNTS } from './particles.js';
+import { QUALITY_TIERS, createQualityGovernor, sphereSegments, particleCount } from './quality.js';
+import { createTextureSet } from './textures.js';
+import { createNavigation } from './navigation.js';
+import { createXRMode } from './xr.js';
+import { PROJECTIONS, ProjectionPass } from './projection.js';
+import { WORMHOLE_TYPES, DEFAULT_WORMHOLE_TYPE, wormholeType } from './wormholes.js';
+import { createPortalMaterial } from './portal.js';
+import { createAccretionDisk, DISK_MODES } from './accretion.js';
+import { createSoundscape } from './audio.js';
+import { MAX_FLASHES_PER_SECOND, readMotionSetting, storeMotionSetting, isReducedMotion, reducedMotionQuery } from './accessibility.js';
+import { computeEmbeddingProfile, sampleEmbeddingProfile } from './physics.js';
+
+
+// Per-viewer state shared with the animation module
+export function createAppState() {
+   return {
+       time: 0,
+       timeline: createTimeline(), // Drives `time`; every animation is a function of it
+       journeyMode: false,
+       journeyProgress: 0,
+       journeyStartTime: 0, // Timeline time at which progress was 0
+       journeyStarted: false,
+       scrubbing: false, // The journey bar is being dragged
+       exporting: false, // An export is rendering; the scene and its controls hold still
+       journeyId: DEFAULT_JOURNEY,
+       renderMode: 'wireframe',
+       projection: 'standard', // Output format in PROJECTIONS
+       particleMode: 'ambient', // 'ambient' drift or 'flow' through the throat
+       quality: 'high', // Current tier in QUALITY_TIERS
+       textureSource: readTextureSource(), // 'assets' (with procedural fallback) or 'procedural'
+       seed: randomSeed(),
+       viewHalfX: 0, // Half the viewer's size, for mouse coordinates
+       viewHalfY: 0,
+       journeyPhase: '', // Label of the journey segment being played
+       distortion: 0.5, // Space distortion slider, 0–1
+       glitchIntensity: 0,
+       motion: readMotionSetting(), // 'auto' (the system setting), 'reduced' or 'full'
+       diskShown: {}, // Accretion disk switched on or off, by wormhole type; otherwise the type's default
+       reducedMotion: false, // No shake, glitches or pulsing effects
+       flashCooldown: 0, // Seconds until the next glitch frame may flash
+       random: Math.random // Swapped for a seeded generator during deterministic exports
+   };
+}
 
+// Per-viewer scene objects shared with the animation module
+export function createSceneObjects() {
+   return {
+       scene: null,
+       camera: null,
+       renderer: null,
+       composer: null,
+       wormhole: null,
+       universe: null,
+       particleSystems: [],
+       journeyTrack: null,
+       permalinks: null,
+       glitchPass: null,
+       lensingPass: null,
+       raytracePass: null,
+       projectionPass: null,
+       accretionDisk: null,
+       quality: null,
+       textures: null,
+       skyCapture: null,
+       farSkyCapture: null,
+       nearUniverse: null,
+       farUniverse: null,
+       navigation: null,
+       xr: null,
+       soundscape: null,
+   };
+}
 
-// Global state accessible to animation module
-export const appState = {
-   time: 0,
-   mouseX: 0,
-   mouseY: 0,
-   targetX: 0,
-   targetY: 0,
-   journeyMode: false,
-   journeyProgress: 0,
-   journeyStarted: false,
-   windowHalfX: window.innerWidth / 2,
-   windowHalfY: window.innerHeight / 2,
-   glitchIntensity: 0
+// Where the camera starts, and returns to on [R]
+const DEFAULT_VIEW = [0, 0, 1200];
+
+// How the universes on either side of an inter-universe wormhole look. Each has its
+// own random streams; the hue functions map a random 0-1 value to a hue.
+const UNIVERSE_LOOKS = {
+   near: {
+      stream: '',
+      starTint: [1, 1, 1],
+      skyColor: 0xffffff,
+      skyOpacity: 0.2,
+      nebulaHue: hue => hue,
+      planetHue: hue => hue,
+      galaxyColor: 0xffffff,
+      starColors: [0xffffee, 0xeeeeff, 0xffff99]
+   },
+   // Magenta nebulae, warm stars and red-to-violet planets
+   far: {
+      stream: 'far-',
+      starTint: [1, 0.78, 0.86],
+      skyColor: 0xff55cc,
+      skyOpacity: 0.35,
+      nebulaHue: hue => 0.78 + hue * 0.17,
+      planetHue: hue => (0.85 + hue * 0.25) % 1,
+      galaxyColor: 0xffaa88,
+      starColors: [0xffaa66, 0xff7799, 0xffddaa]
+   }
 };
 
-// Scene objects accessible to animation module
-export const sceneObjects = {
-   scene: null,
-   camera: null,
-   renderer: null,
-   composer: null,
-   wormhole: null,
-   particleSystems: [],
-   glitchPass: null,
-   accretionDisk: null,
-};
+// Remembered between visits; the procedural textures can be forced on
+const TEXTURE_SOURCE_KEY = 'wormhole-texture-source';
 
-// Initialize the 3D scene and return setup promise
-export function initScene() {
-   return new Promise((resolve) => {
+function readTextureSource() {
+   try {
+       return localStorage.getItem(TEXTURE_SOURCE_KEY) === 'procedural' ? 'procedural' : 'assets';
+   } catch (error) {
+       return 'assets'; // Storage can be blocked
+   }
+}
+
+/**
+ * Initialize the 3D scene for one viewer and return setup promise.
+ * `viewer` provides { host, root, appState, sceneObjects, lifecycle, emit, announcer, initialState, permalink }:
+ * the host element (sized and listened to), the shadow root holding the viewer markup,
+ * fresh state objects, the lifecycle that releases listeners, timers and GPU resources
+ * (see lifecycle.js), a function dispatching DOM events from the host, the screen reader
+ * announcer (see accessibility.js), a state applied like a permalink, and whether to
+ * sync the view with the page URL.
+ * Resolves with the viewer's controls once assets and shaders are ready.
+ */
+export function initScene(viewer) {
+   const { host, root, appState, sceneObjects, lifecycle } = viewer;
+   const { signal } = lifecycle;
+
+   return new Promise((resolve, reject) => {
        // DOM elements
-       const loadingScreen = document.getElementById('loading');
-       const loadingStatus = document.getElementById('loading-status');
-       const loaderBar = document.getElementById('loader-bar');
-       const title = document.getElementById('title');
-       const glitchEffect = document.getElementById('glitch');
-       const lensFlare = document.getElementById('lens-flare');
-       const journeyBtn = document.getElementById('journey-btn');
-       const distortionSlider = document.getElementById('distortion');
-       const distortionValue = document.getElementById('distortion-value');
-       const wormholeTypeSelect = document.getElementById('wormhole-type');
-       const throatDiameter = document.getElementById('throat-diameter');
-       const exoticMatter = document.getElementById('exotic-matter');
-       const timeDilation = document.getElementById('time-dilation');
-
-       // Loading sequence
-       const loadingSteps = [
-           "Calibrating space-time coordinates...",
-           "Stabilizing exotic matter...",
-           "Generating quantum field equations...",
-           "Establishing event horizon boundaries...",
-           "Computing gravitational lensing effects...",
-           "Optimizing Lorentzian manifold...",
-           "Initializing traversable tunnel...",
-           "Wormhole ready for exploration"
-       ];
+       const loadingScreen = root.getElementById('loading');
+       const loadingStatus = root.getElementById('loading-status');
+       const loaderBar = root.getElementById('loader-bar');
+       const title = root.getElementById('title');
+       const glitchEffect = root.getElementById('glitch');
+       const lensFlare = root.getElementById('lens-flare');
+       const journeyBtn = root.getElementById('journey-btn');
+       const distortionSlider = root.getElementById('distortion');
+       const distortionValue = root.getElementById('distortion-value');
+       const wormholeTypeSelect = root.getElementById('wormhole-type');
+       const dataModel = root.getElementById('data-model');
+       const renderModeSelect = root.getElementById('render-mode');
+       const projectionSelect = root.getElementById('projection');
+       const particleModeSelect = root.getElementById('particle-mode');
+       const qualitySelect = root.getElementById('quality');
+       const bloomSlider = root.getElementById('bloom');
+       const bloomValue = root.getElementById('bloom-value');
+       const textureSourceSelect = root.getElementById('texture-source');
+       const motionSelect = root.getElementById('motion');
+       const assetErrors = root.getElementById('asset-errors');
+       const assetErrorList = root.getElementById('asset-error-list');
+       const journeySelect = root.getElementById('journey-path');
+       const seedInput = root.getElementById('seed');
+       const seedRandomBtn = root.getElementById('seed-random');
+       const playBtn = root.getElementById('timeline-play');
+       const speedSelect = root.getElementById('timeline-speed');
+       const journeyScrub = root.getElementById('journey-scrub');
+       const journeyProgress = root.getElementById('journey-progress');
+       const xrBtn = root.getElementById('xr-btn');
+       const xrStatus = root.getElementById('xr-status');
+       const muteBtn = root.getElementById('audio-mute');
+       const volumeSlider = root.getElementById('audio-volume');
+       const diskToggle = root.getElementById('disk-toggle');
+       const diskModeSelect = root.getElementById('disk-mode');
+       const diskSliders = {
+           innerRadius: root.getElementById('disk-inner'),
+           outerRadius: root.getElementById('disk-outer'),
+           temperature: root.getElementById('disk-temperature'),
+           inclination: root.getElementById('disk-inclination')
+       };
+
+       // Loading stages and the share of the progress bar each one covers
+       const loadingStages = {
+           scene: { from: 0, to: 0.2 },
+           textures: { from: 0.2, to: 0.7 },
+           shaders: { from: 0.7, to: 1 }
+       };
 
        // Update loader function
-       function updateLoader(step) {
-           if (step < loadingSteps.length) {
-               loadingStatus.textContent = loadingSteps[step];
-               loaderBar.style.width = `${(step / (loadingSteps.length - 1)) * 100}%`;
-           }
+       function updateLoader(stage, fraction, status) {
+           const { from, to } = loadingStages[stage];
+           loaderBar.style.width = `${(from + (to - from) * Math.min(1, fraction)) * 100}%`;
+           loadingStatus.textContent = status;
        }
 
-       // Simulate loading with performance-friendly timeouts instead of intervals
-       function simulateLoading() {
-           let currentStep = 0;
-
-           function loadNext() {
-               if (currentStep >= loadingSteps.length) {
-                   finishLoading();
-                   return;
+       // Wait for the real work: asset downloads, then shader compilation.
+       // A failure rejects initScene, and the viewer reports it on the loading screen
+       async function runLoadingStages() {
+           try {
+               updateLoader('scene', 1, "Scene constructed");
+
+               // Progress comes from the loading manager as each asset settles
+               updateLoader('textures', 0, "Loading textures...");
+               await textures.ready;
+               if (lifecycle.disposed) return;
+               captureSkies(); // Again, with the loaded nebula and galaxy images
+
+               updateLoader('shaders', 0, "Compiling shaders...");
+               try {
+                   await renderer.compileAsync(scene, camera);
+               } catch (error) {
+                   console.warn('Shader pre-compilation failed; compiling on first use instead:', error);
                }
+               if (lifecycle.disposed) return;
+
+               // One frame through the composer compiles the post-processing passes
+               composer.render(0);
 
-               updateLoader(currentStep);
-               currentStep++;
-               setTimeout(loadNext, 800);
+               updateLoader('shaders', 1, "Wormhole ready for exploration");
+               finishLoading();
+               showAssetErrors();
+           } catch (error) {
+               reject(error);
            }
+       }
+
+       // ======== ASSET ERRORS ========
+       // Generated textures stand in for failed assets, so the scene is complete either way.
+       // The failures are only noted under the texture setting, each with a retry
+       function showAssetErrors() {
+           const failures = textures.failures();
+           if (!failures.length) return;
+
+           assetErrorList.replaceChildren(...failures.map(({ name, url }) => {
+               const item = document.createElement('li');
+               const label = document.createElement('span');
+               label.textContent = `${url} could not be loaded`;
+
+               const retryBtn = document.createElement('button');
+               retryBtn.className = 'small-btn';
+               retryBtn.textContent = "Retry";
+               retryBtn.setAttribute('aria-label', `Retry loading ${url}`);
+               retryBtn.addEventListener('click', async () => {
+                   retryBtn.disabled = true;
+                   label.textContent = `Retrying ${url}...`;
+
+                   if (await textures.retry(name)) {
+                       item.remove();
+                       captureSkies();
+                       if (!assetErrorList.children.length) assetErrors.hidden = true;
+                   } else {
+                       label.textContent = `${url} still could not be loaded`;
+                       retryBtn.disabled = false;
+                   }
+               }, { signal });
 
-           loadNext();
+               item.append(label, retryBtn);
+               return item;
+           }));
+
+           assetErrors.hidden = appState.textureSource === 'procedural';
        }
 
        // Setup scene when loading completes
@@ -98,18 +271,31 @@ export function initScene() {
            loadingScreen.classList.add('hidden');
 
            // Show title with animation
-           setTimeout(() => {
+           lifecycle.setTimeout(() => {
                title.classList.add('visible');
 
-               setTimeout(() => {
+               lifecycle.setTimeout(() => {
                    title.classList.remove('visible');
                }, 5000);
            }, 500);
 
-           // Signal completion to animation module
-           resolve();
+           // Signal completion to the viewer, which starts the animation
+           resolve(controls);
        }
 
+       // Attributes first, then a shared link on top; the seed is needed before anything is generated or drawn
+       const initialState = {
+           ...viewer.initialState,
+           ...(viewer.permalink ? parsePermalink(window.location.hash) : {})
+       };
+       if (initialState.seed) appState.seed = initialState.seed;
+
+       // The viewer fills its host element, whatever size the page gives it
+       const viewSize = () => ({ width: Math.max(1, host.clientWidth), height: Math.max(1, host.clientHeight) });
+       const initialSize = viewSize();
+       appState.viewHalfX = initialSize.width / 2;
+       appState.viewHalfY = initialSize.height / 2;
+
        // ======== THREE.JS SETUP ========
        // Create scene
        const scene = new THREE.Scene();
@@ -119,8 +305,9 @@ export function initScene() {
        scene.matrixAutoUpdate = false; // Only update matrices when needed
 
        // Camera setup
-       const camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 10000);
-       camera.position.z = 1200;
+       const camera = new THREE.PerspectiveCamera(70, initialSize.width / initialSize.height, 0.1, 10000);
+       camera.position.fromArray(DEFAULT_VIEW);
+       camera.layers.enable(BACKGROUND_LAYER);
        sceneObjects.camera = camera;
 
        // Optimized renderer
@@ -131,8 +318,8 @@ export function initScene() {
            powerPreference: "high-performance"
        });
 
-       renderer.setSize(window.innerWidth, window.innerHeight);
-       renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Cap for performance
+       renderer.setSize(initialSize.width, initialSize.height);
+       renderer.setPixelRatio(Math.min(window.devicePixelRatio, QUALITY_TIERS[appState.quality].maxPixelRatio)); // Cap for performance
        renderer.toneMapping = THREE.ACESFilmicToneMapping;
        renderer.toneMappingExposure = 1.2;
        renderer.outputColorSpace = THREE.SRGBColorSpace;
@@ -143,23 +330,63 @@ export function initScene() {
            return texture;
        };
 
-       document.body.appendChild(renderer.domElement);
+       // Counters are reset once per frame, not per render call, so they cover every pass
+       renderer.info.autoReset = false;
+
+       // The view is described for screen readers; its keys are in the info panel
+       renderer.domElement.setAttribute('role', 'img');
+       renderer.domElement.setAttribute('aria-label', "Wormhole view. Use W, A, S, D and the arrow keys to move, R to reset and J to start a journey.");
+
+       root.appendChild(renderer.domElement);
        sceneObjects.renderer = renderer;
 
+       // Released last, after everything that renders with it has stopped
+       lifecycle.onDispose(() => cleanupScene(sceneObjects));
+
        // Post-processing setup
        const composer = new EffectComposer(renderer);
-       const renderPass = new RenderPass(scene, camera);
-       composer.addPass(renderPass);
+
+       // Background first, bent around the throat, then the wormhole on top
+       const backgroundPass = createLayerRenderPass(scene, camera, BACKGROUND_LAYER);
+       composer.addPass(backgroundPass);
+
+       const lensingPass = createLensingPass();
+       composer.addPass(lensingPass);
+       sceneObjects.lensingPass = lensingPass;
+
+       const foregroundPass = createLayerRenderPass(scene, camera, 0, { overlay: true });
+       composer.addPass(foregroundPass);
+
+       // Alternative to the three passes above: ray-traced Ellis wormhole
+       const raytracePass = createRaytracePass();
+       composer.addPass(raytracePass);
+       sceneObjects.raytracePass = raytracePass;
+       const skyCapture = createSkyCapture();
+       sceneObjects.skyCapture = skyCapture;
+       const farSkyCapture = createSkyCapture();
+       sceneObjects.farSkyCapture = farSkyCapture;
+
+       // Alternative to all of the above: panoramic, stereo or dome output (see projection.js)
+       const projectionPass = new ProjectionPass(scene, camera);
+       composer.addPass(projectionPass);
+       sceneObjects.projectionPass = projectionPass;
 
        // Enhanced bloom pass
        const bloomPass = new UnrealBloomPass(
-           new THREE.Vector2(window.innerWidth, window.innerHeight),
+           new THREE.Vector2(initialSize.width, initialSize.height),
            1.5,  // strength
            0.4,  // radius
            0.85  // threshold
        );
        composer.addPass(bloomPass);
 
+       // Bloom can run below full resolution on lower quality tiers
+       let bloomScale = 1;
+       const setBloomSize = bloomPass.setSize.bind(bloomPass);
+       bloomPass.setSize = (width, height) => {
+           setBloomSize(Math.max(1, Math.round(width * bloomScale)), Math.max(1, Math.round(height * bloomScale)));
+       };
+
        // Custom optimized glitch pass (based on search result [3])
        const glitchPass = createOptimizedGlitchPass();
        composer.addPass(glitchPass);
@@ -170,34 +397,62 @@ export function initScene() {
 
        // ======== LIGHTING SETUP ========
        // Ambient light
+       // Lights are enabled on every layer so both render passes are lit
        const ambientLight = new THREE.AmbientLight(0x111122, 0.2);
+       ambientLight.layers.enableAll();
        scene.add(ambientLight);
 
        // Primary light sources
        const pointLight = new THREE.PointLight(0x0088ff, 2, 1000, 1.5);
        pointLight.position.set(0, 0, 500);
+       pointLight.layers.enableAll();
        scene.add(pointLight);
 
        // Secondary light source
        const pointLight2 = new THREE.PointLight(0x0044aa, 1, 1500, 1.2);
        pointLight2.position.set(500, 500, -500);
+       pointLight2.layers.enableAll();
        scene.add(pointLight2);
 
        // Camera light
        const cameraLight = new THREE.PointLight(0x00ffff, 1, 500, 2);
+       cameraLight.layers.enableAll();
        camera.add(cameraLight);
        scene.add(camera);
 
+       // Everything generated from the seed lives here so it can be rebuilt
+       const universe = new THREE.Group();
+       scene.add(universe);
+       sceneObjects.universe = universe;
+
        // ======== TEXTURE LOADER ========
-       const textureLoader = new THREE.TextureLoader();
-       const nebulaTexture = textureLoader.load('assets/nebula.png');
-       const galaxyTexture = textureLoader.load('assets/galaxy.png');
-       const eventHorizonTexture = textureLoader.load('assets/event-horizon.png');
+       // The manager reports each asset as it settles, for the loading bar
+       const loadingManager = new THREE.LoadingManager();
+       loadingManager.onProgress = (url, loaded, total) => {
+           updateLoader('textures', loaded / total, `Loading textures (${loaded}/${total})...`);
+       };
+
+       // Assets are optional: missing or undecodable images are replaced by generated ones
+       const textures = createTextureSet({
+           loader: new THREE.ImageLoader(loadingManager),
+           urls: {
+               nebula: 'assets/nebula.png',
+               galaxy: 'assets/galaxy.png',
+               eventHorizon: 'assets/event-horizon.png'
+           },
+           procedural: appState.textureSource === 'procedural'
+       });
+       sceneObjects.textures = textures;
+       const nebulaTexture = textures.nebula;
+       const galaxyTexture = textures.galaxy;
+       const eventHorizonTexture = textures.eventHorizon;
        nebulaTexture.wrapS = THREE.RepeatWrapping;
        nebulaTexture.wrapT = THREE.RepeatWrapping;
 
        // ======== OPTIMIZED BACKGROUND CREATION ========
-       function createGalacticBackground() {
+       function createGalacticBackground(target, look) {
+           const random = createRandom(appState.seed, `${look.stream}background`);
+
            // Create merged star field for better performance
            const starsGeometry = new THREE.BufferGeometry();
 
@@ -209,20 +464,20 @@ export function initScene() {
 
            // Create varying star attributes
            for (let i = 0; i < 4000; i++) {
-               const x = (Math.random() - 0.5) * 5000;
-               const y = (Math.random() - 0.5) * 5000;
-               const z = (Math.random() - 0.5) * 5000;
+               const x = (random() - 0.5) * 5000;
+               const y = (random() - 0.5) * 5000;
+               const z = (random() - 0.5) * 5000;
                starsVertices.push(x, y, z);
 
                // Vary star size
-               const size = 0.5 + Math.random() * 2;
+               const size = 0.5 + random() * 2;
                starsSizes.push(size);
 
                // Vary star color
-               const r = 0.9 + Math.random() * 0.1;
-               const g = 0.9 + Math.random() * 0.1;
-               const b = 0.9 + Math.random() * 0.1;
-               starsColors.push(r, g, b);
+               const r = 0.9 + random() * 0.1;
+               const g = 0.9 + random() * 0.1;
+               const b = 0.9 + random() * 0.1;
+               starsColors.push(r * look.starTint[0], g * look.starTint[1], b * look.starTint[2]);
            }
 
            starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
@@ -238,34 +493,42 @@ export function initScene() {
            });
 
            const stars = new THREE.Points(starsGeometry, starsMaterial);
-           scene.add(stars);
+           stars.layers.set(BACKGROUND_LAYER);
+           target.add(stars);
+
+           // Sphere detail follows the quality tier
+           const tier = QUALITY_TIERS[appState.quality];
 
            // Nebula backdrop - using lower poly count for performance
-           const nebulaGeometry = new THREE.SphereGeometry(4000, 24, 24);
+           const nebulaGeometry = new THREE.SphereGeometry(4000, sphereSegments(24, tier), sphereSegments(24, tier));
            const nebulaMaterial = new THREE.MeshBasicMaterial({
+               color: look.skyColor,
                side: THREE.BackSide,
                transparent: true,
-               opacity: 0.2,
+               opacity: look.skyOpacity,
                map: nebulaTexture,
                depthWrite: false // Performance optimization
            });
 
            const nebula = new THREE.Mesh(nebulaGeometry, nebulaMaterial);
-           scene.add(nebula);
+           nebula.userData.sphereSegments = 24;
+           nebula.layers.set(BACKGROUND_LAYER);
+           target.add(nebula);
 
            // Additional smaller nebulae
            // Using object pooling for similar objects
+           const smallNebulaSegments = sphereSegments(20, tier);
            const smallNebulaGeometries = [
-               new THREE.SphereGeometry(1000, 20, 20),
-               new THREE.SphereGeometry(1200, 20, 20),
-               new THREE.SphereGeometry(1500, 20, 20)
+               new THREE.SphereGeometry(1000, smallNebulaSegments, smallNebulaSegments),
+               new THREE.SphereGeometry(1200, smallNebulaSegments, smallNebulaSegments),
+               new THREE.SphereGeometry(1500, smallNebulaSegments, smallNebulaSegments)
            ];
 
            for (let i = 0; i < 3; i++) {
                // Reuse geometries from the pool
                const nebulaSmallGeometry = smallNebulaGeometries[i % smallNebulaGeometries.length];
 
-               const hue = Math.random();
+               const hue = look.nebulaHue(random());
                const color = new THREE.Color().setHSL(hue, 0.6, 0.2);
 
                const nebulaSmallMaterial = new THREE.MeshBasicMaterial({
@@ -278,33 +541,40 @@ export function initScene() {
                });
 
                const nebulaSmall = new THREE.Mesh(nebulaSmallGeometry, nebulaSmallMaterial);
+               nebulaSmall.userData.sphereSegments = 20;
 
-               const phi = Math.random() * Math.PI * 2;
-               const theta = Math.random() * Math.PI;
+               const phi = random() * Math.PI * 2;
+               const theta = random() * Math.PI;
 
                nebulaSmall.position.x = 1500 * Math.sin(theta) * Math.cos(phi);
                nebulaSmall.position.y = 1500 * Math.sin(theta) * Math.sin(phi);
                nebulaSmall.position.z = 1500 * Math.cos(theta);
 
-               scene.add(nebulaSmall);
+               nebulaSmall.layers.set(BACKGROUND_LAYER);
+               target.add(nebulaSmall);
            }
        }
 
        // Create optimized celestial objects
-       function createCelestialObjects() {
+       function createCelestialObjects(target, look) {
+           const random = createRandom(appState.seed, `${look.stream}celestial`);
+
+           const tier = QUALITY_TIERS[appState.quality];
+
            // Create instanced celestial objects for better performance
 
            // Optimized planets
+           const planetSegments = sphereSegments(24, tier);
            const planetGeometries = [
-               new THREE.SphereGeometry(100, 24, 24),
-               new THREE.SphereGeometry(150, 24, 24),
-               new THREE.SphereGeometry(200, 24, 24)
+               new THREE.SphereGeometry(100, planetSegments, planetSegments),
+               new THREE.SphereGeometry(150, planetSegments, planetSegments),
+               new THREE.SphereGeometry(200, planetSegments, planetSegments)
            ];
 
            for (let i = 0; i < 3; i++) {
                const planetGeometry = planetGeometries[i % planetGeometries.length];
 
-               const hue = Math.random();
+               const hue = look.planetHue(random());
                const planetMaterial = new THREE.MeshPhongMaterial({
                    color: new THREE.Color().setHSL(hue, 0.7, 0.4),
                    emissive: new THREE.Color().setHSL(hue, 0.5, 0.1),
@@ -313,26 +583,28 @@ export function initScene() {
                });
 
                const planet = new THREE.Mesh(planetGeometry, planetMaterial);
+               planet.userData.sphereSegments = 24;
 
-               const distance = 1500 + Math.random() * 1500;
-               const phi = Math.random() * Math.PI * 2;
-               const theta = Math.random() * Math.PI;
+               const distance = 1500 + random() * 1500;
+               const phi = random() * Math.PI * 2;
+               const theta = random() * Math.PI;
 
                planet.position.x = distance * Math.sin(theta) * Math.cos(phi);
                planet.position.y = distance * Math.sin(theta) * Math.sin(phi);
                planet.position.z = distance * Math.cos(theta);
 
-               planet.rotation.x = Math.random() * Math.PI;
-               planet.rotation.y = Math.random() * Math.PI;
+               planet.rotation.x = random() * Math.PI;
+               planet.rotation.y = random() * Math.PI;
 
-               scene.add(planet);
+               planet.layers.set(BACKGROUND_LAYER);
+               target.add(planet);
 
                // Add rotation animation data
-               planet.userData.rotationSpeed = 0.001 + Math.random() * 0.002;
+               planet.userData.rotationSpeed = 0.001 + random() * 0.002;
                planet.userData.rotationAxis = new THREE.Vector3(
-                   Math.random() - 0.5,
-                   Math.random() - 0.5,
-                   Math.random() - 0.5
+                   random() - 0.5,
+                   random() - 0.5,
+                   random() - 0.5
                ).normalize();
            }
 
@@ -341,6 +613,7 @@ export function initScene() {
 
            for (let i = 0; i < 2; i++) {
                const galaxyMaterial = new THREE.MeshBasicMaterial({
+                   color: look.galaxyColor,
                    map: galaxyTexture,
                    transparent: true,
                    opacity: 0.7,
@@ -350,26 +623,27 @@ export function initScene() {
 
                const galaxy = new THREE.Mesh(galaxyGeometry, galaxyMaterial);
 
-               const distance = 2000 + Math.random() * 1000;
-               const phi = Math.random() * Math.PI * 2;
-               const theta = Math.random() * Math.PI;
+               const distance = 2000 + random() * 1000;
+               const phi = random() * Math.PI * 2;
+               const theta = random() * Math.PI;
 
                galaxy.position.x = distance * Math.sin(theta) * Math.cos(phi);
                galaxy.position.y = distance * Math.sin(theta) * Math.sin(phi);
                galaxy.position.z = distance * Math.cos(theta);
 
-               galaxy.rotation.x = Math.random() * Math.PI;
-               galaxy.rotation.y = Math.random() * Math.PI;
+               galaxy.rotation.x = random() * Math.PI;
+               galaxy.rotation.y = random() * Math.PI;
 
-               scene.add(galaxy);
+               galaxy.layers.set(BACKGROUND_LAYER);
+               target.add(galaxy);
 
-               galaxy.userData.rotationSpeed = 0.0005 + Math.random() * 0.0005;
+               galaxy.userData.rotationSpeed = 0.0005 + random() * 0.0005;
            }
 
            // Distant stars with optimized lights
            // Using fewer stars with more impact for better performance
-           const starGeometry = new THREE.SphereGeometry(40, 16, 16);
-           const colorChoices = [0xffffee, 0xeeeeff, 0xffff99];
+           const starGeometry = new THREE.SphereGeometry(40, sphereSegments(16, tier), sphereSegments(16, tier));
+           const colorChoices = look.starColors;
 
            for (let i = 0; i < 3; i++) { // Reduced from 5 to 3 for performance
                const starColor = colorChoices[i % colorChoices.length];
@@ -380,110 +654,32 @@ export function initScene() {
                });
 
                const star = new THREE.Mesh(starGeometry, starMaterial);
+               star.userData.sphereSegments = 16;
 
-               const distance = 2500 + Math.random() * 1500;
-               const phi = Math.random() * Math.PI * 2;
-               const theta = Math.random() * Math.PI;
+               const distance = 2500 + random() * 1500;
+               const phi = random() * Math.PI * 2;
+               const theta = random() * Math.PI;
 
                star.position.x = distance * Math.sin(theta) * Math.cos(phi);
                star.position.y = distance * Math.sin(theta) * Math.sin(phi);
                star.position.z = distance * Math.cos(theta);
 
-               scene.add(star);
+               star.layers.set(BACKGROUND_LAYER);
+               target.add(star);
 
                // Optimized light - using fewer lights with bigger impact
                const starLight = new THREE.PointLight(starColor, 2, 2000);
                starLight.position.copy(star.position);
-               scene.add(starLight);
+               starLight.layers.enableAll();
+               target.add(starLight);
            }
        }
 
-       // ======== ACCRETION DISK CREATION ========
-       function createAccretionDisk() {
-           const geometry = new THREE.RingGeometry(400, 700, 128);
-
-           const vertexShader = `
-               varying vec2 vUv;
-               void main() {
-                   vUv = uv;
-                   gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-               }
-           `;
-
-           const fragmentShader = `
-               varying vec2 vUv;
-               uniform float u_time;
-
-               // Value noise function
-               float hash( vec2 a ) {
-                   return fract( sin( a.x * 3433.8 + a.y * 3843.98 ) * 45933.8 );
-               }
-
-               float noise( vec2 U ) {
-                   vec2 id = floor( U );
-                   U = fract( U );
-                   U *= U * ( 3. - 2. * U );
-                   vec2 A = vec2( hash(id) , hash(id + vec2(0,1)) );
-                   vec2 B = vec2( hash(id + vec2(1,0)), hash(id + vec2(1,1)) );
-                   vec2 C = mix( A, B, U.x);
-                   return mix( C.x, C.y, U.y );
-               }
-
-               void main() {
-                   vec2 uv = vUv;
-                   float dist = distance(uv, vec2(0.5));
-
-                   // Create swirling motion by rotating UVs based on distance from center
-                   float angle = atan(uv.y - 0.5, uv.x - 0.5);
-                   float radius = length(uv - 0.5);
-
-                   // Add time to the angle for rotation, speed increases closer to center
-                   angle += u_time * 0.2 / (radius + 0.1);
-
-                   // Convert back to UV coordinates
-                   vec2 rotatedUv = vec2(cos(angle), sin(angle)) * radius + 0.5;
-
-                   // Use noise to create turbulent bands
-                   float n = noise(rotatedUv * 5.0 + u_time * 0.1);
-
-                   // Create sharp bands
-                   float bands = smoothstep(0.4, 0.6, n) - smoothstep(0.7, 0.9, n);
-
-                   // Define colors
-                   vec3 color1 = vec3(1.0, 0.6, 0.1); // Orange
-                   vec3 color2 = vec3(1.0, 1.0, 0.8); // Bright Yellow/White
-
-                   // Mix colors based on bands
-                   vec3 color = mix(color1, color2, bands);
-
-                   // Fade out at the edges
-                   float alpha = smoothstep(0.5, 0.4, dist);
-
-                   gl_FragColor = vec4(color * bands, alpha * bands);
-               }
-           `;
-
-           const material = new THREE.ShaderMaterial({
-               uniforms: {
-                   u_time: { value: 0.0 }
-               },
-               vertexShader,
-               fragmentShader,
-               transparent: true,
-               side: THREE.DoubleSide,
-               blending: THREE.AdditiveBlending,
-               depthWrite: false,
-           });
-
-           const disk = new THREE.Mesh(geometry, material);
-           disk.rotation.x = -Math.PI / 2; // Lay it flat
-           return disk;
-       }
-
        // ======== OPTIMIZED WORMHOLE CREATION ========
        function createWormhole() {
            // Improved wormhole parameters
            const baseRadius = 350;
+           const mouthRadius = baseRadius * 1.6; // Where the embedding meets the asymptotic region
            const height = 1000;
            const radialSegments = 120;
            const heightSegments = 100;
@@ -509,8 +705,26 @@ export function initScene() {
                originalPositions.push(vertex.x, vertex.y, vertex.z);
            }
 
-           // Function to apply distortion based on slider value
-           function applyDistortion(distortionFactor) {
+           // Surface profile state, rebuilt whenever the shape changes
+           const profileSample = { r: 0, z: 0 };
+           let profile = null;
+           let currentShape = null;
+           let currentType = DEFAULT_WORMHOLE_TYPE;
+           let currentDistortion = 0.5;
+           let pinch = 0; // How far a closing throat has pinched off, 0-1
+
+           // Twist of the surface at the throat per unit of spin (frame dragging)
+           const twistPerSpin = 4;
+
+           // A pinch is applied in steps, as every step rebuilds the surface
+           const pinchSteps = 40;
+           const minPinchedRadius = 2;
+
+           // Function to apply a Morris-Thorne shape function to the surface
+           function applyShape(shape) {
+               currentShape = shape;
+               profile = computeEmbeddingProfile(shape, mouthRadius);
+
                for (let i = 0; i < positions.count; i++) {
                    const i3 = i * 3;
 
@@ -520,48 +734,66 @@ export function initScene() {
                        originalPositions[i3 + 2]
                    );
 
-                   // Calculate distance from center along height
-                   const distanceFromCenter = Math.abs(vertex.y);
-
-                   // Create the pinch in the middle with variable distortion
-                   const pinchFactor = distortionFactor * 0.9 + 0.1; // Ensures minimum 10% pinch
-                   const scale = 1.0 - pinchFactor * Math.exp(-Math.pow(distanceFromCenter / (height * 0.15), 2));
+                   // Cylinder rows are spread evenly along the profile's arc length,
+                   // from the throat (y = 0) out to the mouths (y = ±height / 2)
+                   const t = vertex.y / (height / 2);
+                   sampleEmbeddingProfile(profile, Math.abs(t) * profile.length, profileSample);
 
-                   // Apply scale to x and z (radial directions)
+                   // Revolve the embedding curve around the wormhole axis
+                   const scale = profileSample.r / baseRadius;
                    vertex.x *= scale;
                    vertex.z *= scale;
+                   vertex.y = Math.sign(t) * profileSample.z;
+
+                   // A rotating throat drags space round with it, falling off as 1/r³
+                   if (shape.spin) {
+                       const twist = shape.spin * twistPerSpin * Math.pow(shape.throatRadius / profileSample.r, 3);
+                       vertex.applyAxisAngle(THREE.Object3D.DEFAULT_UP, twist);
+                   }
 
                    // Update the position
                    positions.setXYZ(i, vertex.x, vertex.y, vertex.z);
                }
 
-               // Update UI elements
-               const throatSize = Math.round(baseRadius * (1.0 - (distortionFactor * 0.9 + 0.1)));
-               throatDiameter.textContent = `${throatSize} units`;
-
-               // Update exotic matter status based on distortion
-               if (distortionFactor > 0.7) {
-                   exoticMatter.textContent = "Unstable";
-                   exoticMatter.style.color = "#ff3366";
-               } else if (distortionFactor > 0.4) {
-                   exoticMatter.textContent = "Stable";
-                   exoticMatter.style.color = "#33ff99";
-               } else {
-                   exoticMatter.textContent = "Excessive";
-                   exoticMatter.style.color = "#ffaa33";
-               }
-
-               // Update time dilation factor
-               const dilationFactor = 1 + distortionFactor * 2;
-               timeDilation.textContent = dilationFactor.toFixed(2) + "x";
-
                // Update geometry
                geometry.computeVertexNormals();
+               geometry.computeBoundingSphere();
                positions.needsUpdate = true;
+
+               fitSurfaceDecorations();
            }
 
-           // Initial application of 50% distortion
-           applyDistortion(0.5);
+           // Function to apply distortion based on slider value, through the current type
+           function applyDistortion(distortionFactor) {
+               currentDistortion = distortionFactor;
+               applyTypeShape();
+           }
+
+           function applyTypeShape() {
+               const shape = wormholeType(currentType).shape(currentDistortion);
+               if (pinch > 0) shape.throatRadius = Math.max(minPinchedRadius, shape.throatRadius * (1 - pinch));
+               applyShape(shape);
+           }
+
+           // Keep the throat disc, rings and mouth effects attached to the current surface
+           function fitSurfaceDecorations() {
+               const mouthHeight = profile.height[profile.height.length - 1];
+
+               eventHorizon.scale.setScalar(currentShape.throatRadius / baseRadius);
+
+               rings.forEach((ring, i) => {
+                   const t = i / (rings.length - 1) * 2 - 1;
+                   sampleEmbeddingProfile(profile, Math.abs(t) * profile.length * 0.9, profileSample);
+
+                   ring.userData.originalY = Math.sign(t) * profileSample.z;
+                   ring.userData.baseScale = profileSample.r / baseRadius;
+                   ring.position.y = ring.userData.originalY;
+                   ring.scale.setScalar(ring.userData.baseScale);
+               });
+
+               entranceBarrier.position.y = mouthHeight + 10;
+               exitUniverse.position.y = -mouthHeight - 50;
+           }
 
            // Create optimized materials using shared configuration
            const createWireframeMaterial = (color, opacity) => {
@@ -583,14 +815,12 @@ export function initScene() {
            const mesh = new THREE.Mesh(geometry, outermostMaterial);
            mesh.rotation.x = Math.PI / 2; // Rotate to align with z-axis
 
-           // Optimize child meshes by reusing geometries
-           const clonedGeometry = geometry.clone();
-
-           const innerMesh1 = new THREE.Mesh(clonedGeometry, outerMaterial);
+           // Optimize child meshes by reusing geometries (they follow the shape automatically)
+           const innerMesh1 = new THREE.Mesh(geometry, outerMaterial);
            innerMesh1.scale.set(0.95, 1, 0.95);
            mesh.add(innerMesh1);
 
-           const innerMesh2 = new THREE.Mesh(clonedGeometry, innerMaterial);
+           const innerMesh2 = new THREE.Mesh(geometry, innerMaterial);
            innerMesh2.scale.set(0.90, 1, 0.90);
            mesh.add(innerMesh2);
 
@@ -642,13 +872,21 @@ export function initScene() {
 
                // Store animation data
                ring.userData.originalY = position;
-               ring.userData.pulseSpeed = 0.5 + Math.random() * 0.5;
-               ring.userData.pulsePhase = Math.random() * Math.PI * 2;
 
                mesh.add(ring);
                rings.push(ring);
            }
 
+           // Each ring pulses at its own speed and phase, drawn from the universe seed
+           function seedRings() {
+               const random = createRandom(appState.seed, 'wormhole');
+               rings.forEach(ring => {
+                   ring.userData.pulseSpeed = 0.5 + random() * 0.5;
+                   ring.userData.pulsePhase = random() * Math.PI * 2;
+               });
+           }
+           seedRings();
+
            // Create one-way entrance effect for one-way wormhole type
            const entranceGeometry = new THREE.CircleGeometry(baseRadius * 1.1, 60);
            const entranceMaterial = new THREE.MeshBasicMaterial({
@@ -665,16 +903,10 @@ export function initScene() {
            entranceBarrier.visible = false;
            mesh.add(entranceBarrier);
 
-           // Create exit universe appearance for inter-universe type
+           // Create exit universe appearance for inter-universe type: a window onto
+           // the far universe's sky (see portal.js)
            const exitUniverseGeometry = new THREE.CircleGeometry(baseRadius * 1.5, 60);
-           const exitUniverseMaterial = new THREE.MeshBasicMaterial({
-               color: 0x9900ff,
-               transparent: true,
-               opacity: 0,
-               side: THREE.DoubleSide,
-               map: nebulaTexture,
-               depthWrite: false
-           });
+           const exitUniverseMaterial = createPortalMaterial(farSkyCapture.renderTarget.texture);
 
            const exitUniverse = new THREE.Mesh(exitUniverseGeometry, exitUniverseMaterial);
            exitUniverse.position.y = -height / 2 - 50;
@@ -682,10 +914,18 @@ export function initScene() {
            exitUniverse.visible = false;
            mesh.add(exitUniverse);
 
+           // Initial application of 50% distortion
+           applyDistortion(0.5);
+
            // Return wormhole object with API
            return {
                mesh: mesh,
                setDistortion: applyDistortion,
+               setShape: applyShape,
+               getShape: () => currentShape,
+               getProfile: () => profile,
+               getType: () => currentType,
+               getTypeDefinition: () => wormholeType(currentType),
                innerMesh1: innerMesh1,
                innerMesh2: innerMesh2,
                eventHorizon: eventHorizon,
@@ -695,132 +935,119 @@ export function initScene() {
                outermostMaterial: outermostMaterial,
                outerMaterial: outerMaterial,
                innerMaterial: innerMaterial,
+               // Draw the ring pulses again after the seed changes
+               reseed: seedRings,
+               // Switch to a type in WORMHOLE_TYPES: its mouth effects, colours and shape
                setWormholeType: function(type) {
-                   switch(type) {
-                       case 'one-way':
-                           entranceBarrier.visible = true;
-                           entranceMaterial.opacity = 0.7;
-                           exitUniverse.visible = false;
-                           break;
-                       case 'inter-universe':
-                           entranceBarrier.visible = false;
-                           exitUniverse.visible = true;
-                           exitUniverseMaterial.opacity = 0.8;
-                           break;
-                       default: // 'two-way'
-                           entranceBarrier.visible = false;
-                           exitUniverse.visible = false;
-                           break;
-                   }
+                   currentType = WORMHOLE_TYPES[type] ? type : DEFAULT_WORMHOLE_TYPE;
+                   const definition = WORMHOLE_TYPES[currentType];
+
+                   entranceBarrier.visible = Boolean(definition.entranceBarrier);
+                   entranceMaterial.opacity = entranceBarrier.visible ? 0.7 : 0;
+                   exitUniverse.visible = Boolean(definition.exitUniverse);
+                   exitUniverseMaterial.uniforms.opacity.value = exitUniverse.visible ? 0.9 : 0;
+
+                   outerMaterial.color.setHSL(definition.palette.hue + 0.078, 1, 0.5); // 0x0088ff for the default palette
+                   horizonMaterial.color.set(definition.palette.horizon);
+                   rings.forEach(ring => ring.material.color.set(definition.palette.ring));
+
+                   applyTypeShape();
+               },
+
+               // Close the throat by a share of its radius (journey rules of closing types)
+               setPinch: function(amount) {
+                   const stepped = Math.round(THREE.MathUtils.clamp(amount, 0, 1) * pinchSteps) / pinchSteps;
+                   if (stepped === pinch) return;
+
+                   pinch = stepped;
+                   applyTypeShape();
                }
            };
        }
 
        // ======== OPTIMIZED PARTICLE SYSTEMS ========
-       function createParticleSystems() {
+       // Built at full size; the quality tier decides how many particles are drawn
+       function createParticleSystems(counts = DEFAULT_PARTICLE_COUNTS) {
+           const random = createRandom(appState.seed, 'particles');
            const systems = [];
 
-           // Create optimized particle system
-           // Using two particle systems with different behaviors
+           // Two particle systems with different behaviors, animated on the GPU
+           // (see particles.js), so the counts can go well past 100k
 
            // System 1: Flow particles
-           const flowCount = 1500;
-           const flowPositions = [];
-           const flowVelocities = [];
-           const flowOriginalPositions = [];
+           const flowCount = counts.flow;
+           const flowPositions = new Float32Array(flowCount * 3);
+           const flowVelocities = new Float32Array(flowCount * 3);
+           const flowSizes = new Float32Array(flowCount);
 
-           // Pre-compute particle positions for better performance
            for (let i = 0; i < flowCount; i++) {
-               const angle = Math.random() * Math.PI * 2;
-               const radius = 100 + Math.random() * 350;
-               const height = (Math.random() - 0.5) * 1000;
-
-               const x = Math.cos(angle) * radius;
-               const y = height;
-               const z = Math.sin(angle) * radius;
+               const angle = random() * Math.PI * 2;
+               const radius = 100 + random() * 350;
+               const height = (random() - 0.5) * 1000;
 
-               flowPositions.push(x, y, z);
-               flowOriginalPositions.push(x, y, z);
+               flowPositions[i * 3] = Math.cos(angle) * radius;
+               flowPositions[i * 3 + 1] = height;
+               flowPositions[i * 3 + 2] = Math.sin(angle) * radius;
 
                // Random velocities for animation
-               flowVelocities.push(
-                   Math.random() * 2,
-                   Math.random() * 2,
-                   Math.random() * 2
-               );
+               flowVelocities[i * 3] = random() * 2;
+               flowVelocities[i * 3 + 1] = random() * 2;
+               flowVelocities[i * 3 + 2] = random() * 2;
            }
 
-           // Create optimized buffer geometry
-           const flowGeometry = new THREE.BufferGeometry();
-           flowGeometry.setAttribute('position', new THREE.Float32BufferAttribute(flowPositions, 3));
-
-           // Add size attribute for improved visual variety
-           const flowSizes = new Float32Array(flowCount);
+           // Size attribute for improved visual variety
            for (let i = 0; i < flowCount; i++) {
-               flowSizes[i] = 2 + Math.random() * 2;
+               flowSizes[i] = 2 + random() * 2;
            }
-           flowGeometry.setAttribute('size', new THREE.Float32BufferAttribute(flowSizes, 1));
 
-           // Use a custom shader material for better performance with many particles
-           const flowMaterial = new THREE.PointsMaterial({
+           const flowSystem = createParticlePoints({
+               positions: flowPositions,
+               velocities: flowVelocities,
+               sizes: flowSizes,
                color: 0x00ffff,
-               size: 3,
-               transparent: true,
-               opacity: 0.7,
-               blending: THREE.AdditiveBlending,
-               depthWrite: false, // Performance optimization
-               sizeAttenuation: true
+               opacity: 0.7
            });
-
-           const flowSystem = new THREE.Points(flowGeometry, flowMaterial);
-           flowSystem.userData.originalPositions = flowOriginalPositions;
-           flowSystem.userData.velocities = flowVelocities;
-
+           flowSystem.userData.kind = 'ambient';
            systems.push(flowSystem);
 
            // System 2: Energy particles (concentrated near throat)
-           const energyCount = 1000;
-           const energyPositions = [];
-           const energyVelocities = [];
-           const energyOriginalPositions = [];
+           const energyCount = counts.energy;
+           const energyPositions = new Float32Array(energyCount * 3);
+           const energyVelocities = new Float32Array(energyCount * 3);
+           const energySizes = new Float32Array(energyCount);
 
            for (let i = 0; i < energyCount; i++) {
-               const angle = Math.random() * Math.PI * 2;
-               const radius = 50 + Math.random() * 150;
-               const height = (Math.random() - 0.5) * 300; // Concentrated near throat
+               const angle = random() * Math.PI * 2;
+               const radius = 50 + random() * 150;
+               const height = (random() - 0.5) * 300; // Concentrated near throat
 
-               const x = Math.cos(angle) * radius;
-               const y = height;
-               const z = Math.sin(angle) * radius;
-
-               energyPositions.push(x, y, z);
-               energyOriginalPositions.push(x, y, z);
+               energyPositions[i * 3] = Math.cos(angle) * radius;
+               energyPositions[i * 3 + 1] = height;
+               energyPositions[i * 3 + 2] = Math.sin(angle) * radius;
 
                // Faster velocities for more energetic movement
-               energyVelocities.push(
-                   Math.random() * 3,
-                   Math.random() * 3,
-                   Math.random() * 3
-               );
+               energyVelocities[i * 3] = random() * 3;
+               energyVelocities[i * 3 + 1] = random() * 3;
+               energyVelocities[i * 3 + 2] = random() * 3;
            }
 
-           const energyGeometry = new THREE.BufferGeometry();
-           energyGeometry.setAttribute('position', new THREE.Float32BufferAttribute(energyPositions, 3));
+           for (let i = 0; i < energyCount; i++) {
+               energySizes[i] = 1.5 + random();
+           }
 
-           const energyMaterial = new THREE.PointsMaterial({
+           systems.push(createParticlePoints({
+               positions: energyPositions,
+               velocities: energyVelocities,
+               sizes: energySizes,
                color: 0x80ffea,
-               size: 2,
-               transparent: true,
-               opacity: 0.5,
-               blending: THREE.AdditiveBlending,
-               depthWrite: false // Performance optimization
-           });
+               opacity: 0.5
+           }));
 
-           const energySystem = new THREE.Points(energyGeometry, energyMaterial);
-           energySystem.userData.originalPositions = energyOriginalPositions;
-           energySystem.userData.velocities = energyVelocities;
-
-           systems.push(energySystem);
+           // System 3: Particles streaming through the throat along the surface,
+           // shown instead of the ambient flow in 'flow' particle mode
+           const throatSystem = createThroatFlow({ count: counts.throat, random });
+           throatSystem.rotation.x = Math.PI / 2; // Same frame as the wormhole mesh
+           systems.push(throatSystem);
 
            return systems;
        }
@@ -830,38 +1057,67 @@ export function initScene() {
            // Using the optimization technique from search result [3]
            const glitchPass = new GlitchPass();
 
+           // All randomness goes through appState.random, which the exporter seeds per export
+           const randFloat = (low, high) => low + appState.random() * (high - low);
+
+           // Replace the built-in displacement map with a seeded one so glitches look the same on every load
+           const heightSize = 64;
+           const heightData = new Float32Array(heightSize * heightSize);
+           const heightMap = new THREE.DataTexture(heightData, heightSize, heightSize, THREE.RedFormat, THREE.FloatType);
+           glitchPass.uniforms["tDisp"].value = heightMap;
+
+           // Fill the map from the current seed; again whenever the seed changes
+           function seedHeightMap() {
+               const heightRandom = createRandom(appState.seed, 'glitch');
+               for (let i = 0; i < heightData.length; i++) heightData[i] = heightRandom();
+               heightMap.needsUpdate = true;
+           }
+           seedHeightMap();
+           glitchPass.reseed = seedHeightMap;
+
            // Make glitches less frequent and more random
-           const originalRender = glitchPass.render;
            glitchPass.render = function(renderer, writeBuffer, readBuffer) {
                this.uniforms["tDiffuse"].value = readBuffer.texture;
-               this.uniforms["seed"].value = Math.random();
+               this.uniforms["seed"].value = appState.random();
                this.uniforms["byp"].value = 0;
 
-               // Only glitch when appState.glitchIntensity > 0
-               if (appState.glitchIntensity > 0 && Math.random() < appState.glitchIntensity * 0.1) {
+               // Only glitch when appState.glitchIntensity > 0, never with reduced motion,
+               // and no more often than the flash limit (see accessibility.js)
+               const canFlash = !appState.reducedMotion && appState.flashCooldown <= 0;
+               if (canFlash && appState.glitchIntensity > 0 && appState.random() < appState.glitchIntensity * 0.1) {
+                   appState.flashCooldown = 1 / MAX_FLASHES_PER_SECOND;
+
                    // Controlled glitch amount based on intensity
-                   this.uniforms["amount"].value = Math.random() / 30 * appState.glitchIntensity;
-                   this.uniforms["angle"].value = THREE.MathUtils.randFloat(-Math.PI, Math.PI);
-                   this.uniforms["seed_x"].value = THREE.MathUtils.randFloat(-1, 1);
-                   this.uniforms["seed_y"].value = THREE.MathUtils.randFloat(-1, 1);
-                   this.uniforms["distortion_x"].value = THREE.MathUtils.randFloat(0, 1);
-                   this.uniforms["distortion_y"].value = THREE.MathUtils.randFloat(0, 1);
-                   this.curF = 0;
-                   this.generateTrigger();
+                   this.uniforms["amount"].value = appState.random() / 30 * appState.glitchIntensity;
+                   this.uniforms["angle"].value = randFloat(-Math.PI, Math.PI);
+                   this.uniforms["seed_x"].value = randFloat(-1, 1);
+                   this.uniforms["seed_y"].value = randFloat(-1, 1);
+                   this.uniforms["distortion_x"].value = randFloat(0, 1);
+                   this.uniforms["distortion_y"].value = randFloat(0, 1);
                } else {
                    this.uniforms["byp"].value = 1;
                }
 
+               // GlitchPass keeps its quad private (_fsQuad) since three r17x
+               const fsQuad = this._fsQuad || this.fsQuad;
                if (this.renderToScreen) {
                    renderer.setRenderTarget(null);
-                   this.fsQuad.render(renderer);
+                   fsQuad.render(renderer);
                } else {
                    renderer.setRenderTarget(writeBuffer);
                    if (this.clear) renderer.clear();
-                   this.fsQuad.render(renderer);
+                   fsQuad.render(renderer);
                }
            };
 
+           // Release our height map along with the pass (the stock dispose relies on a missing getter)
+           glitchPass.dispose = function() {
+               this.material.dispose();
+               heightMap.dispose();
+               if (this._heightMap) this._heightMap.dispose();
+               (this._fsQuad || this.fsQuad).dispose();
+           };
+
            // Initially disable glitch effect
            glitchPass.enabled = true;
            appState.glitchIntensity = 0;
@@ -874,188 +1130,764 @@ export function initScene() {
 
        // Optimized mouse move handler with throttling
        let mouseThrottleTimer;
-       document.addEventListener('mousemove', (event) => {
-           // Update state variables immediately for smooth camera movement
-           appState.mouseX = (event.clientX - appState.windowHalfX) / 100;
-           appState.mouseY = (event.clientY - appState.windowHalfY) / 100;
+       host.addEventListener('mousemove', (event) => {
+           // Coordinates within the viewer, which need not fill the page
+           const bounds = host.getBoundingClientRect();
+           const x = event.clientX - bounds.left;
+           const y = event.clientY - bounds.top;
 
            // Throttle expensive DOM updates
-           clearTimeout(mouseThrottleTimer);
-           mouseThrottleTimer = setTimeout(() => {
+           lifecycle.clearTimeout(mouseThrottleTimer);
+           mouseThrottleTimer = lifecycle.setTimeout(() => {
                // Update lens flare position
-               const lensX = event.clientX;
-               const lensY = event.clientY;
-               lensFlare.style.left = `${lensX}px`;
-               lensFlare.style.top = `${lensY}px`;
+               lensFlare.style.left = `${x}px`;
+               lensFlare.style.top = `${y}px`;
 
                // Only show lens flare when near the wormhole center
                const distanceToCenter = Math.sqrt(
-                   Math.pow((event.clientX - appState.windowHalfX) / appState.windowHalfX, 2) +
-                   Math.pow((event.clientY - appState.windowHalfY) / appState.windowHalfY, 2)
+                   Math.pow((x - appState.viewHalfX) / appState.viewHalfX, 2) +
+                   Math.pow((y - appState.viewHalfY) / appState.viewHalfY, 2)
                );
 
-               lensFlare.style.opacity = Math.max(0, 1 - distanceToCenter * 2);
+               // The animation loop adds its pulse on top of this
+               lensFlare.dataset.brightness = Math.max(0, 1 - distanceToCenter * 2);
            }, 16); // ~60fps
-       });
+       }, { signal });
 
-       // Optimized wheel handler
-       let wheelThrottleTimer;
-       document.addEventListener('wheel', (event) => {
-           // Skip if in journey mode
-           if (appState.journeyMode) return;
-
-           // Update camera position directly
-           sceneObjects.camera.position.z = Math.max(300, Math.min(2000,
-               sceneObjects.camera.position.z + event.deltaY * 0.5));
-
-           // Throttle any additional processing
-           clearTimeout(wheelThrottleTimer);
-           wheelThrottleTimer = setTimeout(() => {
-               // Additional processing if needed
-           }, 100);
-       });
+       // Orbit, pan and zoom with pointer, touch and keys (see navigation.js)
+       const navigation = createNavigation({ camera, domElement: renderer.domElement, keyTarget: host, signal });
+       sceneObjects.navigation = navigation;
+       lifecycle.onDispose(() => navigation.dispose());
 
        // Journey button handler
-       journeyBtn.addEventListener('click', () => toggleJourneyMode());
+       journeyBtn.addEventListener('click', () => toggleJourneyMode(), { signal });
+
+       // ======== VIRTUAL REALITY ========
+       // The journey as a ride in a WebXR headset (see xr.js)
+       const xr = createXRMode({ renderer, scene, camera, signal, onChange: updateXRControls });
+       sceneObjects.xr = xr;
+       lifecycle.onDispose(() => xr.dispose());
+
+       async function updateXRControls(presenting) {
+           // The headset pose is not blended with; the screen view snaps back on exit
+           navigation.cancelBlend();
+
+           if (presenting) {
+               xrBtn.textContent = "Exit VR";
+               xrBtn.disabled = false;
+               xrStatus.textContent = "Journey playing in the headset";
+
+               // Entering VR is a request for the ride
+               if (!appState.journeyMode) {
+                   toggleJourneyMode();
+                   navigation.cancelBlend();
+               }
+               return;
+           }
+
+           xrBtn.textContent = "Enter VR";
+           const supported = await xr.isSupported();
+           if (lifecycle.disposed) return;
+
+           xrBtn.disabled = !supported;
+           xrStatus.textContent = supported ? "" : "No VR headset found (a WebXR emulator works too)";
+       }
+
+       xrBtn.addEventListener('click', async () => {
+           xrBtn.disabled = true;
+           try {
+               await xr.toggle();
+           } catch (error) {
+               console.error('VR session error:', error);
+               xrStatus.textContent = `Could not start VR: ${error.message}`;
+           } finally {
+               xrBtn.disabled = false;
+           }
+       }, { signal });
+
+       updateXRControls(false);
+
+       // Keyboard shortcuts, while focus is in this viewer
+       host.addEventListener('keydown', (event) => {
+           // The real target inside the shadow root; form fields keep their own keys
+           const target = event.composedPath()[0];
+           if (target.closest && target.closest('input, select, textarea')) return;
+           if (appState.exporting) return;
 
-       // Keyboard shortcuts
-       document.addEventListener('keydown', (event) => {
            if (event.key === 'j' || event.key === 'J') {
                toggleJourneyMode();
            }
+
+           if ((event.key === 'm' || event.key === 'M') && !event.ctrlKey && !event.metaKey) {
+               setMuted(!soundscape.muted);
+           }
+
+           // Back to the starting view, eased
+           if ((event.key === 'r' || event.key === 'R') && !event.ctrlKey && !event.metaKey) {
+               if (appState.journeyMode) toggleJourneyMode();
+               navigation.startBlend();
+               navigation.setView(DEFAULT_VIEW);
+           }
+
+           // Space pauses, unless a button would take it as a click
+           if (event.key === ' ' && !(target.closest && target.closest('button'))) {
+               event.preventDefault();
+               setPlaying(!appState.timeline.playing);
+           }
+       }, { signal });
+
+       // ======== TIMELINE ========
+       function setPlaying(playing) {
+           if (playing) appState.timeline.play();
+           else appState.timeline.pause();
+
+           playBtn.textContent = playing ? "Pause" : "Play";
+           playBtn.setAttribute('aria-label', playing ? "Pause animation" : "Resume animation");
+       }
+
+       playBtn.addEventListener('click', () => setPlaying(!appState.timeline.playing), { signal });
+
+       TIMELINE_SPEEDS.forEach(speed => {
+           const option = document.createElement('option');
+           option.value = speed;
+           option.textContent = `${speed}×`;
+           speedSelect.appendChild(option);
        });
+       speedSelect.value = appState.timeline.speed;
+       speedSelect.addEventListener('change', (event) => appState.timeline.setSpeed(event.target.value), { signal });
+
+       // Dragging the journey bar jumps to that point of the journey
+       journeyScrub.addEventListener('input', (event) => {
+           seekJourney(Number(event.target.value) / Number(event.target.max));
+       }, { signal });
+
+       // While the handle is held down, playback leaves it where the pointer put it
+       // (capture ends on pointerup or pointercancel, wherever the pointer is by then)
+       journeyScrub.addEventListener('pointerdown', (event) => {
+           appState.scrubbing = true;
+           journeyScrub.setPointerCapture(event.pointerId);
+       }, { signal });
+       journeyScrub.addEventListener('lostpointercapture', () => {
+           appState.scrubbing = false;
+       }, { signal });
+
+       // Move the journey to `progress` by shifting its start on the timeline
+       function seekJourney(progress) {
+           if (!appState.journeyMode) toggleJourneyMode();
+
+           // Progress 1 would complete the journey on the next frame
+           const clamped = Math.max(0, Math.min(0.999, progress));
+           appState.journeyStartTime = appState.timeline.time - journeyTimeAt(sceneObjects.journeyTrack, clamped);
+           appState.journeyProgress = clamped;
+       }
 
        // Toggle journey mode function
        function toggleJourneyMode() {
+           // An export plays the journey itself; nothing else may start or stop it
+           if (appState.exporting) return;
+
            appState.journeyMode = !appState.journeyMode;
            appState.journeyStarted = appState.journeyMode;
            appState.journeyProgress = 0;
+           appState.journeyStartTime = appState.timeline.time;
 
            if (appState.journeyMode) {
                journeyBtn.textContent = "Cancel Journey";
                glitchEffect.style.opacity = 0.1;
 
-               // Store original camera position for return
-               sceneObjects.camera.userData.originalPosition = {
-                   x: sceneObjects.camera.position.x,
-                   y: sceneObjects.camera.position.y,
-                   z: sceneObjects.camera.position.z
-               };
+               // The journey takes the camera, easing in from the current view;
+               // the navigation rig stays put for the way back
+               navigation.setEnabled(false);
+               navigation.startBlend();
 
-               // Position camera for journey start
-               sceneObjects.camera.position.z = 1500;
-               sceneObjects.camera.position.x = 0;
-               sceneObjects.camera.position.y = 0;
+               const start = sampleJourney(sceneObjects.journeyTrack, 0, 0, {
+                   position: new THREE.Vector3(),
+                   lookAt: new THREE.Vector3()
+               });
 
                // Show journey progress
-               document.getElementById('journey-progress').style.opacity = 1;
-               document.getElementById('journey-progress-bar').style.width = "0%";
-               document.getElementById('journey-phase').textContent = "Approaching Wormhole";
+               journeyProgress.classList.add('active');
+               root.getElementById('journey-progress-bar').style.width = "0%";
+               journeyScrub.value = 0;
+               root.getElementById('journey-phase').textContent = start.label;
+
+               appState.journeyPhase = start.label;
+               viewer.emit('journeystart', { journey: appState.journeyId, phase: start.label });
            } else {
                journeyBtn.textContent = "Begin Journey";
                glitchEffect.style.opacity = 0;
+               appState.journeyPhase = '';
 
                // Hide journey progress
-               document.getElementById('journey-progress').style.opacity = 0;
-
-               // Return to original position
-               if (sceneObjects.camera.userData.originalPosition) {
-                   sceneObjects.camera.position.set(
-                       sceneObjects.camera.userData.originalPosition.x,
-                       sceneObjects.camera.userData.originalPosition.y,
-                       sceneObjects.camera.userData.originalPosition.z
-                   );
-               }
+               journeyProgress.classList.remove('active');
+
+               // Ease back to where the user left the camera
+               navigation.setEnabled(true);
+               navigation.startBlend();
            }
        }
 
        // Distortion slider handler
        distortionSlider.addEventListener('input', (event) => {
-           const value = event.target.value;
+           setDistortionControl(event.target.value);
+           announceReadoutsSoon();
+       }, { signal });
+
+       // Once the slider settles and the readouts have caught up, read them out
+       let announceTimer;
+       function announceReadoutsSoon() {
+           lifecycle.clearTimeout(announceTimer);
+           announceTimer = lifecycle.setTimeout(() => viewer.announcer.announceReadouts(), 1000);
+       }
+
+       function setDistortionControl(value) {
+           distortionSlider.value = value;
+           distortionSlider.setAttribute('aria-valuenow', value);
            distortionValue.textContent = `${value}%`;
-           sceneObjects.wormhole.setDistortion(value / 100);
-       });
+           appState.distortion = value / 100;
+           sceneObjects.wormhole.setDistortion(appState.distortion);
+       }
 
-       // Wormhole type selector handler
+       // Wormhole type selector: list every registered type and switch on change
+       Object.entries(WORMHOLE_TYPES).forEach(([id, definition]) => {
+           const option = document.createElement('option');
+           option.value = id;
+           option.textContent = definition.name;
+           wormholeTypeSelect.appendChild(option);
+       });
+       wormholeTypeSelect.value = DEFAULT_WORMHOLE_TYPE;
        wormholeTypeSelect.addEventListener('change', (event) => {
-           sceneObjects.wormhole.setWormholeType(event.target.value);
-
-           // Update displayed information based on type
-           if (event.target.value === 'one-way') {
-               exoticMatter.textContent = "Polarized";
-               exoticMatter.style.color = "#ff9966";
-           } else if (event.target.value === 'inter-universe') {
-               exoticMatter.textContent = "Quantum-linked";
-               exoticMatter.style.color = "#9966ff";
+           setWormholeType(event.target.value);
+           announceReadoutsSoon();
+       }, { signal });
+
+       function setWormholeType(type) {
+           sceneObjects.wormhole.setWormholeType(type);
+           wormholeTypeSelect.value = sceneObjects.wormhole.getType();
+
+           const definition = sceneObjects.wormhole.getTypeDefinition();
+           dataModel.textContent = definition.model;
+
+           // Rays escaping through the far side see the far universe, or a procedural sky
+           raytracePass.uniforms.useFarSky.value = definition.exitUniverse ? 1 : 0;
+
+           if (sceneObjects.accretionDisk) updateDiskVisibility();
+       }
+
+       // Journey selector: list every registered journey and rebuild the track on change
+       Object.entries(JOURNEYS).forEach(([id, definition]) => {
+           const option = document.createElement('option');
+           option.value = id;
+           option.textContent = definition.name;
+           journeySelect.appendChild(option);
+       });
+       journeySelect.value = appState.journeyId;
+
+       function setJourney(id) {
+           appState.journeyId = JOURNEYS[id] ? id : DEFAULT_JOURNEY;
+           sceneObjects.journeyTrack = createJourneyTrack(JOURNEYS[appState.journeyId]);
+       }
+
+       journeySelect.addEventListener('change', (event) => {
+           // Switching mid-journey would jump the camera, so cancel first
+           if (appState.journeyMode) toggleJourneyMode();
+           setJourney(event.target.value);
+       }, { signal });
+
+       // Seed controls: type a seed and press Enter, or roll a new one
+       seedInput.addEventListener('change', () => generateUniverse(seedInput.value), { signal });
+       seedRandomBtn.addEventListener('click', () => generateUniverse(randomSeed()), { signal });
+
+       // Rebuild the starfield, celestial objects and particles from a seed
+       function generateUniverse(seed) {
+           appState.seed = normalizeSeed(seed);
+           seedInput.value = appState.seed;
+
+           // Drop the previous universe; textures are shared and stay loaded
+           universe.traverse(node => {
+               if (node.geometry) node.geometry.dispose();
+               if (node.material) node.material.dispose();
+           });
+           universe.clear();
+
+           // Our side of the wormhole, and the universe beyond an inter-universe exit.
+           // Only one surrounds the camera at a time (see updateSurroundings in animation.js)
+           const nearUniverse = new THREE.Group();
+           const farUniverse = new THREE.Group();
+           farUniverse.visible = false;
+           universe.add(nearUniverse, farUniverse);
+           sceneObjects.nearUniverse = nearUniverse;
+           sceneObjects.farUniverse = farUniverse;
+
+           createGalacticBackground(nearUniverse, UNIVERSE_LOOKS.near);
+           createCelestialObjects(nearUniverse, UNIVERSE_LOOKS.near);
+           createGalacticBackground(farUniverse, UNIVERSE_LOOKS.far);
+           createCelestialObjects(farUniverse, UNIVERSE_LOOKS.far);
+
+           // The wormhole's rings and the glitch displacement come from the seed too
+           sceneObjects.wormhole.reseed();
+           glitchPass.reseed();
+
+           const particleSystems = createParticleSystems();
+           particleSystems.forEach(system => universe.add(system));
+           sceneObjects.particleSystems = particleSystems;
+           setParticleDetail(QUALITY_TIERS[appState.quality]);
+           xr.refreshLayers();
+
+           // The ray tracer and the exit portal sample snapshots of the skies, so refresh them
+           captureSkies();
+       }
+
+       // Capture each side's sky on its own, from the wormhole's centre: ours for the
+       // ray tracer's near side, the far universe for its far side and the exit portal
+       function captureSkies() {
+           const { nearUniverse, farUniverse } = sceneObjects;
+           const surroundedByFar = farUniverse.visible;
+
+           nearUniverse.visible = true;
+           farUniverse.visible = false;
+           captureSky(skyCapture, renderer, scene, raytracePass);
+
+           nearUniverse.visible = false;
+           farUniverse.visible = true;
+           captureFarSky(farSkyCapture, renderer, scene, raytracePass);
+
+           nearUniverse.visible = !surroundedByFar;
+           farUniverse.visible = surroundedByFar;
+       }
+
+       // ======== PERMALINKS ========
+       // Snapshot of everything a shared link needs to reproduce this view
+       function readSceneState() {
+           const state = {
+               distortion: Number(distortionSlider.value),
+               type: wormholeTypeSelect.value,
+               journey: appState.journeyId,
+               seed: appState.seed,
+               mode: appState.renderMode,
+               projection: appState.projection,
+               particles: appState.particleMode,
+               zoom: camera.zoom
+           };
+
+           if (appState.journeyMode) {
+               state.progress = appState.journeyProgress;
            } else {
-               // Restore original state based on distortion
-               sceneObjects.wormhole.setDistortion(distortionSlider.value / 100);
+               // The rig, not the rendered camera, which may still be easing out of a journey
+               state.camera = navigation.rig.position.toArray();
+               state.target = navigation.controls.target.toArray();
+           }
+           return state;
+       }
+
+       // Apply a (possibly partial) state from a permalink
+       function applySceneState(state) {
+           // Permalinks and the host's attributes wait until an export is done
+           if (appState.exporting) return;
+
+           if (state.seed !== undefined && state.seed !== appState.seed) {
+               generateUniverse(state.seed);
+           }
+
+           if (state.distortion !== undefined) {
+               setDistortionControl(state.distortion);
+           }
+
+           if (WORMHOLE_TYPES[state.type] && state.type !== sceneObjects.wormhole.getType()) {
+               setWormholeType(state.type);
+           }
+
+           if (state.mode !== undefined && state.mode !== appState.renderMode) {
+               setRenderMode(state.mode);
+               renderModeSelect.value = appState.renderMode;
+           }
+
+           if (state.projection !== undefined && state.projection !== appState.projection) {
+               setProjection(state.projection);
+           }
+
+           if (state.particles !== undefined && state.particles !== appState.particleMode) {
+               setParticleMode(state.particles);
+           }
+
+           if (state.journey !== undefined && state.journey !== appState.journeyId && JOURNEYS[state.journey]) {
+               if (appState.journeyMode) toggleJourneyMode();
+               setJourney(state.journey);
+               journeySelect.value = appState.journeyId;
+           }
+
+           if (state.zoom !== undefined) {
+               camera.zoom = state.zoom;
+               camera.updateProjectionMatrix();
+           }
+
+           // A progress value means "mid-journey"; without one the camera is free
+           if (state.progress !== undefined) {
+               seekJourney(state.progress);
+           } else {
+               if (appState.journeyMode) toggleJourneyMode();
+
+               if (state.camera) {
+                   navigation.setView(state.camera, state.target);
+                   navigation.cancelBlend();
+               }
+           }
+       }
+
+       // ======== PRESETS ========
+       // Everything a preset holds (see presets.js): the scene, the journey and the look
+       function readPresetState() {
+           const disk = sceneObjects.accretionDisk;
+           return {
+               scene: {
+                   distortion: Number(distortionSlider.value),
+                   type: sceneObjects.wormhole.getType(),
+                   seed: appState.seed,
+                   mode: appState.renderMode,
+                   projection: appState.projection,
+                   particles: appState.particleMode,
+                   camera: navigation.rig.position.toArray(),
+                   target: navigation.controls.target.toArray(),
+                   zoom: camera.zoom
+               },
+               journey: { id: appState.journeyId, speed: appState.timeline.speed },
+               disk: { shown: disk.mesh.visible, ...disk.settings },
+               effects: { bloom: bloomPass.strength }
+           };
+       }
+
+       // Apply a validated preset; whatever it leaves out keeps its current value.
+       // Without a journey progress the scene state stops any journey, as a preset is a starting point
+       function applyPresetState({ scene = {}, journey = {}, disk = {}, effects = {} }) {
+           if (appState.exporting) return;
+
+           applySceneState({ ...scene, journey: journey.id });
+
+           if (journey.speed !== undefined) {
+               appState.timeline.setSpeed(journey.speed);
+               speedSelect.value = appState.timeline.speed;
+           }
+
+           // Shown or hidden for the preset's wormhole type
+           const { shown, ...settings } = disk;
+           setDisk(settings);
+           if (shown !== undefined) {
+               appState.diskShown[sceneObjects.wormhole.getType()] = shown;
+               updateDiskVisibility();
+           }
+
+           if (effects.bloom !== undefined) setBloom(effects.bloom);
+       }
+
+       // Particle mode selector: ambient drift or flow through the throat
+       particleModeSelect.addEventListener('change', (event) => setParticleMode(event.target.value), { signal });
+
+       function setParticleMode(mode) {
+           appState.particleMode = mode === 'flow' ? 'flow' : 'ambient';
+           particleModeSelect.value = appState.particleMode;
+       }
+
+       // ======== QUALITY ========
+       // Apply a tier: resolution, bloom, glitch, and particle and sphere detail. The universe
+       // is not rebuilt and the skies are not captured again, so the governor can step down
+       // without a stall in a frame that is already slow
+       function applyQualityTier(name) {
+           appState.quality = QUALITY_TIERS[name] ? name : 'high';
+           const tier = QUALITY_TIERS[appState.quality];
+           const pixelRatio = Math.min(window.devicePixelRatio, tier.maxPixelRatio);
+
+           bloomScale = tier.bloomScale;
+           renderer.setPixelRatio(pixelRatio);
+           composer.setPixelRatio(pixelRatio); // Also resizes every pass, bloom included
+           glitchPass.enabled = tier.glitch;
+
+           setParticleDetail(tier);
+           setSphereDetail(tier);
+       }
+
+       // Draw the first share of every particle cloud; the particles are in random order
+       function setParticleDetail(tier) {
+           sceneObjects.particleSystems.forEach(system => {
+               const count = system.geometry.attributes.position.count;
+               system.geometry.setDrawRange(0, particleCount(count, tier));
+           });
+       }
+
+       // Swap the background spheres for ones with the tier's segment count
+       function setSphereDetail(tier) {
+           const geometries = new Map();
+           const replaced = new Set();
+
+           universe.traverse(node => {
+               if (!node.userData.sphereSegments) return;
+
+               const { radius, widthSegments } = node.geometry.parameters;
+               const segments = sphereSegments(node.userData.sphereSegments, tier);
+               if (segments === widthSegments) return;
+
+               const key = `${radius}/${segments}`;
+               if (!geometries.has(key)) geometries.set(key, new THREE.SphereGeometry(radius, segments, segments));
+               replaced.add(node.geometry);
+               node.geometry = geometries.get(key);
+           });
+
+           replaced.forEach(geometry => geometry.dispose());
+       }
+
+       qualitySelect.addEventListener('change', (event) => sceneObjects.quality.setMode(event.target.value), { signal });
+
+       // Bloom strength
+       bloomSlider.addEventListener('input', (event) => setBloom(event.target.value), { signal });
+
+       function setBloom(strength) {
+           bloomPass.strength = THREE.MathUtils.clamp(Number(strength) || 0, 0, 3);
+           bloomSlider.value = bloomPass.strength;
+           bloomValue.textContent = bloomPass.strength.toFixed(1);
+       }
+
+       // Texture source: image assets (falling back per texture) or always procedural
+       textureSourceSelect.value = appState.textureSource;
+       textureSourceSelect.addEventListener('change', (event) => setTextureSource(event.target.value), { signal });
+
+       function setTextureSource(source) {
+           appState.textureSource = source === 'procedural' ? 'procedural' : 'assets';
+           textureSourceSelect.value = appState.textureSource;
+           textures.setProcedural(appState.textureSource === 'procedural');
+           assetErrors.hidden = appState.textureSource === 'procedural' || !assetErrorList.children.length;
+
+           // The sky snapshots include the nebula
+           captureSkies();
+
+           try {
+               localStorage.setItem(TEXTURE_SOURCE_KEY, appState.textureSource);
+           } catch (error) {
+               // Not persisted; the choice still applies to this visit
            }
+       }
+
+       // ======== MOTION ========
+       // Reduced motion follows the system setting unless the user picks one
+       motionSelect.value = appState.motion;
+       motionSelect.addEventListener('change', (event) => setMotion(event.target.value), { signal });
+       reducedMotionQuery().addEventListener('change', () => setMotion(appState.motion), { signal });
+
+       function setMotion(setting) {
+           appState.motion = setting;
+           appState.reducedMotion = isReducedMotion(setting);
+           motionSelect.value = setting;
+
+           // The stylesheet stills the overlays and interface animations
+           host.toggleAttribute('data-reduced-motion', appState.reducedMotion);
+           if (appState.reducedMotion) glitchEffect.style.opacity = 0;
+
+           if (setting !== readMotionSetting()) storeMotionSetting(setting);
+       }
+
+       setMotion(appState.motion);
+
+       // ======== AUDIO ========
+       const soundscape = createSoundscape(viewer);
+       sceneObjects.soundscape = soundscape;
+
+       volumeSlider.value = Math.round(soundscape.volume * 100);
+       volumeSlider.addEventListener('input', (event) => {
+           soundscape.setVolume(event.target.value / 100);
+           if (soundscape.muted) setMuted(false);
+       }, { signal });
+       muteBtn.addEventListener('click', () => setMuted(!soundscape.muted), { signal });
+
+       function setMuted(muted) {
+           soundscape.setMuted(muted);
+           updateMuteButton();
+       }
+
+       function updateMuteButton() {
+           muteBtn.textContent = soundscape.muted ? 'Unmute' : 'Mute';
+           muteBtn.setAttribute('aria-pressed', soundscape.muted);
+       }
+
+       updateMuteButton();
+
+       // ======== ACCRETION DISK ========
+       Object.entries(DISK_MODES).forEach(([id, name]) => {
+           const option = document.createElement('option');
+           option.value = id;
+           option.textContent = name;
+           diskModeSelect.appendChild(option);
        });
+       diskModeSelect.addEventListener('change', (event) => setDisk({ mode: event.target.value }), { signal });
+       Object.entries(diskSliders).forEach(([setting, slider]) => {
+           slider.addEventListener('input', (event) => setDisk({ [setting]: event.target.value }), { signal });
+       });
+
+       // On or off for the current wormhole type only
+       diskToggle.addEventListener('click', () => {
+           appState.diskShown[sceneObjects.wormhole.getType()] = !sceneObjects.accretionDisk.mesh.visible;
+           updateDiskVisibility();
+       }, { signal });
+
+       function setDisk(changes) {
+           sceneObjects.accretionDisk.set(changes);
+           updateDiskControls();
+       }
+
+       // The settings may have been clamped, or pushed one radius along with the other
+       function updateDiskControls() {
+           const settings = sceneObjects.accretionDisk.settings;
+           diskModeSelect.value = settings.mode;
+           Object.entries(diskSliders).forEach(([setting, slider]) => {
+               slider.value = settings[setting];
+               root.getElementById(`${slider.id}-value`).textContent = slider.value;
+           });
+           updateDiskVisibility();
+       }
+
+       function updateDiskVisibility() {
+           const type = sceneObjects.wormhole.getType();
+           const shown = appState.diskShown[type] ?? sceneObjects.wormhole.getTypeDefinition().accretionDisk !== false;
+           sceneObjects.accretionDisk.mesh.visible = shown;
+           diskToggle.textContent = shown ? 'On' : 'Off';
+           diskToggle.setAttribute('aria-pressed', shown);
+       }
+
+       // Rendering mode selector handler
+       renderModeSelect.addEventListener('change', (event) => setRenderMode(event.target.value), { signal });
+
+       // Switch between the wireframe embedding diagram and the ray-traced view
+       function setRenderMode(mode) {
+           const raytraced = mode === 'raytraced';
+           appState.renderMode = raytraced ? 'raytraced' : 'wireframe';
+
+           // Refresh the skies seen on either side of the throat
+           if (raytraced) captureSkies();
+
+           updateScenePasses();
+       }
+
+       // Projection selector: list the formats and switch on change
+       Object.entries(PROJECTIONS).forEach(([id, projection]) => {
+           const option = document.createElement('option');
+           option.value = id;
+           option.textContent = projection.name;
+           projectionSelect.appendChild(option);
+       });
+       projectionSelect.value = appState.projection;
+       projectionSelect.addEventListener('change', (event) => setProjection(event.target.value), { signal });
+
+       function setProjection(projection) {
+           appState.projection = PROJECTIONS[projection] ? projection : 'standard';
+           projectionSelect.value = appState.projection;
+           updateScenePasses();
+       }
 
-       // Optimized window resize handler with debouncing
+       // The passes that draw the scene: layered and lensed, ray-traced, or either one through a projection
+       function updateScenePasses() {
+           const raytraced = appState.renderMode === 'raytraced';
+           const projected = appState.projection !== 'standard';
+
+           backgroundPass.enabled = !raytraced && !projected;
+           lensingPass.enabled = !raytraced && !projected;
+           foregroundPass.enabled = !raytraced && !projected;
+           raytracePass.enabled = raytraced && !projected;
+
+           projectionPass.enabled = projected;
+           projectionPass.projection = appState.projection;
+           projectionPass.raytracePass = raytraced ? raytracePass : null;
+       }
+
+       // Resize handler with debouncing; follows the host element, not the window
        let resizeTimeout;
-       window.addEventListener('resize', () => {
+       const resizeObserver = new ResizeObserver(() => {
+           const { width, height } = viewSize();
+
            // Update these values immediately for correct mouse position calculation
-           appState.windowHalfX = window.innerWidth / 2;
-           appState.windowHalfY = window.innerHeight / 2;
+           appState.viewHalfX = width / 2;
+           appState.viewHalfY = height / 2;
 
            // Debounce expensive resize operations
-           clearTimeout(resizeTimeout);
-           resizeTimeout = setTimeout(() => {
-               // Update camera
-               sceneObjects.camera.aspect = window.innerWidth / window.innerHeight;
-               sceneObjects.camera.updateProjectionMatrix();
-
-               // Update renderer and composer
-               sceneObjects.renderer.setSize(window.innerWidth, window.innerHeight);
-               sceneObjects.composer.setSize(window.innerWidth, window.innerHeight);
-           }, 250);
+           lifecycle.clearTimeout(resizeTimeout);
+           resizeTimeout = lifecycle.setTimeout(resizeView, 250);
        });
 
-       // ======== SCENE INITIALIZATION ========
-       // Create scene elements
-       createGalacticBackground();
-       createCelestialObjects();
+       function resizeView() {
+           // The headset sets the size while presenting; three restores ours afterwards
+           if (renderer.xr.isPresenting) return;
 
+           // An export renders at its own size and puts the old one back; fit the view after it
+           if (appState.exporting) {
+               resizeTimeout = lifecycle.setTimeout(resizeView, 250);
+               return;
+           }
+
+           const { width, height } = viewSize();
+
+           // Update camera
+           sceneObjects.camera.aspect = width / height;
+           sceneObjects.camera.updateProjectionMatrix();
+
+           // Update renderer and composer
+           sceneObjects.renderer.setSize(width, height);
+           sceneObjects.composer.setSize(width, height);
+       }
+       resizeObserver.observe(host);
+       lifecycle.onDispose(() => resizeObserver.disconnect());
+
+       // ======== SCENE INITIALIZATION ========
        // Create and store wormhole
        const wormhole = createWormhole();
        scene.add(wormhole.mesh);
        sceneObjects.wormhole = wormhole;
 
-       // Create and store accretion disk
+       // Create and store accretion disk (see accretion.js)
        const accretionDisk = createAccretionDisk();
-       scene.add(accretionDisk);
+       scene.add(accretionDisk.mesh);
        sceneObjects.accretionDisk = accretionDisk;
+       updateDiskControls();
+
+       // Build the default journey track
+       setJourney(appState.journeyId);
+
+       // Starts on the highest tier and steps down if the frame rate cannot keep up
+       sceneObjects.quality = createQualityGovernor({ onChange: applyQualityTier, tier: appState.quality });
+       qualitySelect.value = sceneObjects.quality.mode;
+
+       // Create the seeded starfield, celestial objects and particle systems
+       generateUniverse(appState.seed);
+       applySceneState(initialState);
+       if (viewer.permalink) {
+           sceneObjects.permalinks = initPermalinks({ readState: readSceneState, applyState: applySceneState });
+           lifecycle.onDispose(() => sceneObjects.permalinks.dispose());
+       }
 
-       // Create and store particle systems
-       const particleSystems = createParticleSystems();
-       particleSystems.forEach(system => scene.add(system));
-       sceneObjects.particleSystems = particleSystems;
+       // ======== VIEWER CONTROLS ========
+       // What the host element drives from its attributes
+       const controls = {
+           applyState: applySceneState,
+           readState: readSceneState,
+           applyPresetState,
+           readPresetState,
+
+           // Play a journey from the start, switching paths first if `id` names another one
+           startJourney(id) {
+               if (JOURNEYS[id] && id !== appState.journeyId) applySceneState({ journey: id });
+               if (!appState.journeyMode) toggleJourneyMode();
+           }
+       };
 
-       // Start loading sequence
-       simulateLoading();
+       // Finish once assets and shaders are really ready
+       runLoadingStages();
    });
 }
 
-export function cleanupScene() {
+/**
+ * Release a viewer's GPU resources: scene geometry and materials, the texture set,
+ * render targets (composer, passes, sky capture) and finally the WebGL context.
+ * Registered with the viewer's lifecycle by initScene.
+ */
+export function cleanupScene(sceneObjects) {
    // Dispose of all geometries, materials, and textures
    if (!sceneObjects.scene) return;
 
-   const disposeNode = (node) => {
-       if (node.geometry) node.geometry.dispose();
-
-       if (node.material) {
-           if (Array.isArray(node.material)) {
-               node.material.forEach(material => disposeMaterial(material));
-           } else {
-               disposeMaterial(node.material);
-           }
-       }
-
-       node.children.forEach(child => disposeNode(child));
-   };
-
    const disposeMaterial = (material) => {
        if (material.map) material.map.dispose();
        if (material.lightMap) material.lightMap.dispose();
@@ -1066,19 +1898,39 @@ export function cleanupScene() {
        material.dispose();
    };
 
-   // Dispose everything in the scene
-   sceneObjects.scene.traverse(disposeNode);
+   // Dispose everything in the scene (traverse visits every descendant once)
+   sceneObjects.scene.traverse(node => {
+       if (node.geometry) node.geometry.dispose();
 
-   // Remove renderer
-   if (sceneObjects.renderer) {
-       sceneObjects.renderer.dispose();
-       document.body.removeChild(sceneObjects.renderer.domElement);
-   }
+       if (Array.isArray(node.material)) {
+           node.material.forEach(disposeMaterial);
+       } else if (node.material) {
+           disposeMaterial(node.material);
+       }
+   });
+   sceneObjects.scene.clear();
+
+   // Loaded and generated textures, including any not currently on a material
+   if (sceneObjects.textures) sceneObjects.textures.dispose();
+   if (sceneObjects.skyCapture) sceneObjects.skyCapture.renderTarget.dispose();
+   if (sceneObjects.farSkyCapture) sceneObjects.farSkyCapture.renderTarget.dispose();
+   if (sceneObjects.accretionDisk) sceneObjects.accretionDisk.dispose();
 
-   // Remove composer
+   // Remove composer: its passes and its own ping-pong render targets
    if (sceneObjects.composer) {
        sceneObjects.composer.passes.forEach(pass => {
            if (pass.dispose) pass.dispose();
        });
+       sceneObjects.composer.dispose();
    }
+
+   // Remove renderer, giving the context back rather than waiting for garbage collection
+   if (sceneObjects.renderer) {
+       sceneObjects.renderer.setAnimationLoop(null);
+       sceneObjects.renderer.dispose();
+       sceneObjects.renderer.forceContextLoss();
+       sceneObjects.renderer.domElement.remove();
+   }
+
+   sceneObjects.scene = null;
 }
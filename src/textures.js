@@ -0,0 +1,274 @@
+/**
+ * textures.js - Procedural nebula, galaxy and event-horizon textures
+ *
+ * The images in public/assets are optional. Each texture starts loading its
+ * asset and falls back to a generated canvas if the file is missing, empty or
+ * fails to decode. Generation is seeded, so the fallback looks the same on every load.
+ */
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+// Fixed seed: these stand in for static assets, so they do not change with the universe seed
+const TEXTURE_SEED = 'textures';
+
+// ======== NOISE ========
+// Value noise whose lattice wraps every `period` cells, so textures tile seamlessly
+// (the nebula wraps around a sphere). Periods up to NOISE_SIZE are supported.
+const NOISE_SIZE = 256;
+
+function createNoise(random) {
+    const values = new Float32Array(NOISE_SIZE * NOISE_SIZE);
+    for (let i = 0; i < values.length; i++) values[i] = random();
+
+    const smooth = t => t * t * (3 - 2 * t);
+    const wrap = (value, period) => ((value % period) + period) % period;
+
+    return function noise(x, y, period = NOISE_SIZE) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const u = smooth(x - xi);
+        const v = smooth(y - yi);
+
+        const x0 = wrap(xi, period);
+        const x1 = wrap(xi + 1, period);
+        const y0 = wrap(yi, period) * NOISE_SIZE;
+        const y1 = wrap(yi + 1, period) * NOISE_SIZE;
+
+        const a = values[y0 + x0];
+        const b = values[y0 + x1];
+        const c = values[y1 + x0];
+        const d = values[y1 + x1];
+        return a + (b - a) * u + (c - a) * v + (a - b - c + d) * u * v;
+    };
+}
+
+// Fractal sum of octaves, starting at `frequency` cells per unit; tiles over [0, 1)
+function fbm(noise, x, y, frequency, octaves) {
+    let sum = 0;
+    let amplitude = 0.5;
+    for (let i = 0; i < octaves; i++) {
+        sum += amplitude * noise(x * frequency, y * frequency, frequency);
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return sum;
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// ======== GENERATORS ========
+/**
+ * Noise-based nebula clouds in blues and violets (2:1, wraps horizontally)
+ */
+export function generateNebula(width = 512, height = 256) {
+    const random = createRandom(TEXTURE_SEED, 'nebula');
+    const period = 4;
+    const noise = createNoise(random);
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const u = x / width;
+            const v = y / height;
+
+            // Warp the lookup by a second noise field for wispy filaments
+            const warp = fbm(noise, u + 0.37, v + 0.11, period, 3);
+            const density = fbm(noise, u + warp * 0.25, v + warp * 0.25, period, 5);
+            const clouds = Math.pow(Math.max(0, density - 0.3) / 0.7, 1.6);
+            const tint = fbm(noise, u + 0.5, v + 0.5, period / 2, 2);
+
+            const i = (y * width + x) * 4;
+            image.data[i] = 255 * clouds * (0.35 + 0.6 * tint);
+            image.data[i + 1] = 255 * clouds * (0.25 + 0.3 * (1 - tint));
+            image.data[i + 2] = 255 * Math.min(1, clouds * 1.4);
+            image.data[i + 3] = 255;
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Two-armed spiral galaxy with a bright core, transparent outside the disc
+ */
+export function generateGalaxy(size = 256) {
+    const random = createRandom(TEXTURE_SEED, 'galaxy');
+    const noise = createNoise(random);
+    const canvas = createCanvas(size, size);
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(size, size);
+
+    const arms = 2;
+    const winding = 4.5;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = (x + 0.5) / size * 2 - 1;
+            const dy = (y + 0.5) / size * 2 - 1;
+            const r = Math.hypot(dx, dy);
+            const angle = Math.atan2(dy, dx);
+
+            // Logarithmic spiral arms, broken up by noise into star clouds
+            const armPhase = Math.cos(arms * (angle - winding * Math.log(r + 0.05)));
+            const arm = Math.pow(Math.max(0, armPhase), 3);
+            const clumps = 0.5 + 0.5 * noise(x / 6, y / 6);
+            const disc = Math.max(0, 1 - r);
+            const core = Math.exp(-r * r * 60);
+
+            const brightness = Math.min(1, core + arm * clumps * disc * 0.9 + disc * disc * 0.15);
+
+            const i = (y * size + x) * 4;
+            image.data[i] = 255 * Math.min(1, brightness * (0.8 + core * 0.2));
+            image.data[i + 1] = 255 * Math.min(1, brightness * (0.75 + core * 0.25));
+            image.data[i + 2] = 255 * Math.min(1, brightness * (1.0 - core * 0.2));
+            image.data[i + 3] = 255 * Math.min(1, brightness * 1.5) * (r < 1 ? 1 : 0);
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Radial swirl for the disc across the throat: bright rim, dark centre
+ */
+export function generateEventHorizon(size = 256) {
+    const random = createRandom(TEXTURE_SEED, 'event-horizon');
+    const noise = createNoise(random);
+    const canvas = createCanvas(size, size);
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(size, size);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = (x + 0.5) / size * 2 - 1;
+            const dy = (y + 0.5) / size * 2 - 1;
+            const r = Math.hypot(dx, dy);
+            const angle = Math.atan2(dy, dx);
+
+            // Angle twisted with radius gives the swirl; noise along it gives streaks
+            const twisted = (angle / (Math.PI * 2) + 0.5 + r * 0.8) % 1;
+            const streaks = fbm(noise, twisted, r, 8, 4);
+            const rim = Math.exp(-Math.pow((r - 0.8) / 0.18, 2));
+            const fade = r < 1 ? 1 : 0;
+
+            const brightness = Math.min(1, (streaks * 0.9 + rim * 0.6) * Math.min(1, r * 1.5)) * fade;
+
+            const i = (y * size + x) * 4;
+            image.data[i] = 255 * brightness * 0.7;
+            image.data[i + 1] = 255 * brightness * 0.9;
+            image.data[i + 2] = 255 * brightness;
+            image.data[i + 3] = 255;
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+const GENERATORS = {
+    nebula: generateNebula,
+    galaxy: generateGalaxy,
+    eventHorizon: generateEventHorizon
+};
+
+// ======== TEXTURE SET ========
+/**
+ * Load the scene textures with procedural fallbacks.
+ * `urls` maps names (nebula, galaxy, eventHorizon) to asset paths. The returned
+ * textures can be used right away; their images are filled in as assets load.
+ * With `procedural` set, assets are ignored and the generated images are used.
+ * `ready` resolves once every requested asset has loaded or fallen back.
+ */
+export function createTextureSet({ loader = new THREE.ImageLoader(), urls, procedural = false }) {
+    const entries = {};
+    const textures = {};
+    let forceProcedural = procedural;
+
+    function show(entry) {
+        const useAsset = !forceProcedural && entry.asset;
+        if (!useAsset && !entry.canvas) entry.canvas = GENERATORS[entry.name]();
+
+        entry.texture.image = useAsset ? entry.asset : entry.canvas;
+        entry.texture.needsUpdate = true;
+    }
+
+    // Resolves to true if the asset loaded, false if the fallback is in use
+    function requestAsset(entry, url = urls[entry.name]) {
+        if (entry.request) return entry.request;
+
+        entry.request = new Promise(resolve => {
+            loader.load(url, image => {
+                // An empty placeholder can "load" without any pixels
+                if (image.width && image.height) entry.asset = image;
+                entry.failed = !entry.asset;
+                show(entry);
+                resolve(!entry.failed);
+            }, undefined, () => {
+                entry.failed = true;
+                show(entry);
+                resolve(false);
+            });
+        });
+        return entry.request;
+    }
+
+    Object.keys(GENERATORS).forEach(name => {
+        const texture = new THREE.Texture();
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const entry = { name, texture, asset: null, canvas: null, request: null, failed: false, retries: 0 };
+        entries[name] = entry;
+        textures[name] = texture;
+
+        // Only the fallback is needed when procedural textures are forced
+        if (procedural) show(entry);
+        else requestAsset(entry);
+    });
+
+    return {
+        ...textures,
+
+        ready: Promise.all(Object.values(entries).map(entry => entry.request)),
+
+        // Switch between assets (where they loaded) and generated images
+        setProcedural(force) {
+            forceProcedural = force;
+            Object.values(entries).forEach(entry => {
+                if (!force) requestAsset(entry);
+
+                // A pending asset keeps whatever is showing until it arrives
+                if (force || entry.asset || entry.failed) show(entry);
+            });
+        },
+
+        // Assets currently replaced by a generated texture because they failed
+        failures() {
+            return Object.values(entries)
+                .filter(entry => entry.failed)
+                .map(entry => ({ name: entry.name, url: urls[entry.name] }));
+        },
+
+        // Load a failed asset again, bypassing any cached failure
+        retry(name) {
+            const entry = entries[name];
+            if (!entry || !entry.failed) return Promise.resolve(Boolean(entry && entry.asset));
+
+            entry.request = null;
+            entry.retries++;
+            return requestAsset(entry, `${urls[name]}?retry=${entry.retries}`);
+        },
+
+        dispose() {
+            Object.values(textures).forEach(texture => texture.dispose());
+        }
+    };
+}
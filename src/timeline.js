@@ -0,0 +1,39 @@
+/**
+ * timeline.js - The animation clock: play/pause and speed multiplier
+ *
+ * Every updater reads `time` from here instead of counting frames, so the
+ * scene looks the same at 30, 60 or 144 Hz and a journey can be scrubbed to any moment.
+ */
+
+export const TIMELINE_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Create a timeline clock
+ */
+export function createTimeline() {
+    return {
+        time: 0,
+        speed: 1,
+        playing: true,
+
+        // Advance by a real-time delta; returns how much timeline time passed
+        advance(realDelta) {
+            if (!this.playing) return 0;
+            const delta = realDelta * this.speed;
+            this.time += delta;
+            return delta;
+        },
+
+        play() {
+            this.playing = true;
+        },
+
+        pause() {
+            this.playing = false;
+        },
+
+        setSpeed(speed) {
+            this.speed = Math.max(0, Number(speed) || 1);
+        }
+    };
+}
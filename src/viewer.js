@@ -0,0 +1,196 @@
+/**
+ * viewer.js - The <wormhole-viewer> custom element
+ *
+ * Each element owns a shadow root with its own canvas, interface, state and
+ * animation loop, so several viewers can share a page.
+ *
+ * Attributes:
+ *   distortion        Space distortion, 0-100
+ *   type              A WORMHOLE_TYPES id: two-way, one-way, inter-universe, schwarzschild, ellis or rotating
+ *   seed              Universe seed
+ *   projection        standard, equirect, vr180 or domemaster
+ *   autoplay-journey  Start a journey once loaded; the value may name the path
+ *   permalink         Keep the page URL in sync with this viewer (use on one viewer only)
+ *
+ * Events (bubbling, composed; details carry the journey id):
+ *   journeystart, phasechange ({ phase, progress }), journeycomplete ({ message } when the wormhole cut it short)
+ *
+ * init() builds the viewer and dispose() releases all of it (listeners, timers,
+ * the animation loop, render targets, textures and the WebGL context). They run
+ * on connect and removal, and again on every hot update during development.
+ */
+import { initScene, createAppState, createSceneObjects } from './setup.js';
+import { initAnimation } from './animation.js';
+import { initExportControls } from './exporter.js';
+import { initPresetControls } from './presets.js';
+import { createLifecycle } from './lifecycle.js';
+import { createAnnouncer } from './accessibility.js';
+import template from './viewer.html?raw';
+import styles from '../style.css?inline';
+
+// Attributes that map directly onto permalink state keys
+const STATE_ATTRIBUTES = {
+    distortion: value => ({ distortion: Math.max(0, Math.min(100, Number(value) || 0)) }),
+    type: value => ({ type: value }),
+    seed: value => ({ seed: value }),
+    projection: value => ({ projection: value })
+};
+
+// Viewers with a running scene, handed to the next version of this module on hot updates
+const activeViewers = new Set();
+
+export class WormholeViewer extends HTMLElement {
+    static observedAttributes = [...Object.keys(STATE_ATTRIBUTES), 'autoplay-journey'];
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.viewer = null;
+        this.controls = null;
+    }
+
+    connectedCallback() {
+        this.init();
+    }
+
+    disconnectedCallback() {
+        // Removal, not a move: a moved element is reconnected before this runs
+        queueMicrotask(() => {
+            if (!this.isConnected) this.dispose();
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.controls || oldValue === value) return;
+
+        if (STATE_ATTRIBUTES[name] && value !== null) {
+            this.controls.applyState(STATE_ATTRIBUTES[name](value));
+        } else if (name === 'autoplay-journey' && value !== null) {
+            this.controls.startJourney(value);
+        }
+    }
+
+    // Initial state from whichever attributes are set
+    readAttributeState() {
+        const state = {};
+        Object.entries(STATE_ATTRIBUTES).forEach(([name, parse]) => {
+            if (this.hasAttribute(name)) Object.assign(state, parse(this.getAttribute(name)));
+        });
+        return state;
+    }
+
+    /**
+     * Build the scene, interface and animation loop (does nothing while one is running)
+     */
+    init() {
+        // Moving the element within the page keeps the running viewer
+        if (this.viewer) return;
+
+        // Focusable, so keyboard shortcuts reach this viewer only
+        if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+
+        this.shadowRoot.innerHTML = `<style>${styles}</style>${template}`;
+
+        const lifecycle = createLifecycle();
+        const viewer = {
+            host: this,
+            root: this.shadowRoot,
+            appState: createAppState(),
+            sceneObjects: createSceneObjects(),
+            lifecycle,
+            initialState: this.readAttributeState(),
+            permalink: this.hasAttribute('permalink'),
+            emit: (type, detail) => {
+                this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+            },
+            announcer: createAnnouncer({
+                region: this.shadowRoot.getElementById('announcer'),
+                host: this,
+                signal: lifecycle.signal
+            }),
+            animation: null
+        };
+        this.viewer = viewer;
+        activeViewers.add(this);
+        this.start(viewer);
+    }
+
+    async start(viewer) {
+        try {
+            // Initialize scene and wait for completion
+            const controls = await initScene(viewer);
+
+            // Disposed while loading; everything is already released
+            if (this.viewer !== viewer) return;
+
+            this.controls = controls;
+            viewer.animation = initAnimation(viewer);
+            initExportControls(viewer);
+            initPresetControls(viewer, controls);
+
+            if (this.hasAttribute('autoplay-journey')) {
+                controls.startJourney(this.getAttribute('autoplay-journey'));
+            }
+        } catch (error) {
+            console.error('Initialization error:', error);
+
+            // Update loading status with error message
+            const loadingStatus = this.shadowRoot.getElementById('loading-status');
+            if (loadingStatus) {
+                loadingStatus.textContent = "Error initializing wormhole: " + error.message;
+            }
+
+            // Hide loading screen after error
+            viewer.lifecycle.setTimeout(() => {
+                const loadingScreen = this.shadowRoot.getElementById('loading');
+                if (loadingScreen) loadingScreen.classList.add('hidden');
+            }, 300);
+        }
+    }
+
+    /**
+     * Release everything init() created; init() can build the viewer again afterwards
+     */
+    dispose() {
+        const viewer = this.viewer;
+        if (!viewer) return;
+
+        viewer.lifecycle.dispose();
+
+        this.shadowRoot.replaceChildren();
+        this.viewer = null;
+        this.controls = null;
+        activeViewers.delete(this);
+    }
+}
+
+const registeredViewer = customElements.get('wormhole-viewer');
+if (!registeredViewer) {
+    customElements.define('wormhole-viewer', WormholeViewer);
+}
+
+// ======== HOT MODULE REPLACEMENT ========
+// An element can only be defined once, so a hot update moves the new methods onto
+// the registered class and rebuilds every viewer with the new code. Edits to
+// setup.js, animation.js and the other modules reach here through the import graph.
+if (import.meta.hot) {
+    import.meta.hot.accept();
+
+    import.meta.hot.dispose(data => {
+        data.viewers = [...activeViewers];
+        data.viewers.forEach(element => element.dispose());
+    });
+
+    if (registeredViewer && registeredViewer !== WormholeViewer) {
+        Object.getOwnPropertyNames(WormholeViewer.prototype)
+            .filter(name => name !== 'constructor')
+            .forEach(name => {
+                Object.defineProperty(registeredViewer.prototype, name,
+                    Object.getOwnPropertyDescriptor(WormholeViewer.prototype, name));
+            });
+    }
+
+    (import.meta.hot.data.viewers || [])
+        .filter(element => element.isConnected)
+        .forEach(element => element.init());
+}
@@ -0,0 +1,110 @@
+/**
+ * wormholes.js - Registry of wormhole types
+ *
+ * Like a journey, a type is plain data with a few functions, and everything the
+ * viewer does per type reads it from here:
+ *   shape(distortion)    Shape parameters for a slider value (see physics.js); sets the geometry
+ *   palette              Surface hue, ring and throat disc colours
+ *   entranceBarrier      Show the one-way barrier over our mouth
+ *   exitUniverse         Show the far universe through the other mouth
+ *   accretionDisk        false to hide the accretion disk by default (it can be shown again)
+ *   flow                 Throat stream: both directions or inwards only, the colour of
+ *                        returning particles, and how far frame dragging twists it (radians)
+ *   model, readouts      Caption and formulas of the Scientific Data panel
+ *   journey              Rules applied while a journey plays:
+ *                          pinchOff       the throat closes just before the camera reaches
+ *                                         it and the journey ends there with `message`
+ *                          frameDragging  radians the camera is carried round the axis
+ *                                         on its way through the throat
+ *
+ * Add an entry to offer a new type in the selector, the `type` attribute and permalinks.
+ */
+import { shapeFromDistortion, computeReadouts, computeRotatingReadouts, computeSchwarzschildReadouts } from './physics.js';
+
+const MORRIS_THORNE = {
+    model: 'Morris-Thorne model',
+    readouts: computeReadouts
+};
+
+const CYAN_PALETTE = { hue: 0.5, ring: 0x00ffff, horizon: 0x00ffff };
+
+export const WORMHOLE_TYPES = {
+    'two-way': {
+        name: 'Two-way (Standard)',
+        ...MORRIS_THORNE,
+        shape: shapeFromDistortion,
+        palette: CYAN_PALETTE,
+        flow: { twoWay: true }
+    },
+
+    'one-way': {
+        name: 'One-way',
+        ...MORRIS_THORNE,
+        shape: shapeFromDistortion,
+        palette: CYAN_PALETTE,
+        entranceBarrier: true,
+        flow: { twoWay: false }
+    },
+
+    'inter-universe': {
+        name: 'Inter-universe',
+        ...MORRIS_THORNE,
+        shape: shapeFromDistortion,
+        palette: CYAN_PALETTE,
+        exitUniverse: true,
+        flow: { twoWay: true, returnColor: 0x9900ff }
+    },
+
+    // The original Einstein-Rosen bridge: the throat is Flamm's paraboloid at every
+    // distortion, and it opens and closes again too fast for anything to cross
+    schwarzschild: {
+        name: 'Schwarzschild (Non-traversable)',
+        model: 'Schwarzschild vacuum',
+        readouts: computeSchwarzschildReadouts,
+        shape: (distortion) => ({ ...shapeFromDistortion(distortion), shapeIndex: 0 }),
+        palette: { hue: 0.02, ring: 0xff6633, horizon: 0xff3300 },
+        flow: { twoWay: false },
+        journey: {
+            pinchOff: {
+                lead: 0.15, // Share of the journey over which the throat closes
+                message: "The bridge pinched off before you could cross. A Schwarzschild throat closes faster than light can traverse it."
+            }
+        }
+    },
+
+    // Ellis's drainhole: a catenoid at every distortion with no gravitational pull
+    // (Φ = 0), so clocks agree on both sides, matter drains one way through it and
+    // nothing is held in orbit to form a disk
+    ellis: {
+        name: 'Ellis Drainhole',
+        model: 'Ellis metric',
+        readouts: computeReadouts,
+        shape: (distortion) => ({ ...shapeFromDistortion(distortion), shapeIndex: 1, redshift: 0 }),
+        palette: { hue: 0.38, ring: 0x33ffaa, horizon: 0x00ff88 },
+        accretionDisk: false,
+        flow: { twoWay: false }
+    },
+
+    // A slowly rotating wormhole: space near the throat is dragged round the axis,
+    // twisting the surface, the throat stream and the camera's path
+    rotating: {
+        name: 'Rotating (Frame Dragging)',
+        model: 'Rotating Teo model',
+        readouts: computeRotatingReadouts,
+        shape: (distortion) => ({ ...shapeFromDistortion(distortion), spin: 0.3 }),
+        palette: { hue: 0.75, ring: 0xcc66ff, horizon: 0xaa44ff },
+        flow: { twoWay: true, twist: Math.PI * 1.5 },
+        journey: {
+            frameDragging: Math.PI * 0.75
+        }
+    }
+};
+
+export const DEFAULT_WORMHOLE_TYPE = 'two-way';
+
+/**
+ * The definition of a type id, falling back to the default for unknown ids
+ */
+export function wormholeType(id) {
+    return WORMHOLE_TYPES[id] || WORMHOLE_TYPES[DEFAULT_WORMHOLE_TYPE];
+}
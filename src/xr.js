@@ -0,0 +1,283 @@
+/**
+ * xr.js - "Enter VR": the journey as a comfortable ride in a WebXR headset
+ *
+ * During a session the camera is parented to a rig. The headset moves the camera
+ * within the rig and the journey (or the orbit view) moves the rig. The rig only
+ * translates: its heading is fixed for the whole journey, so all turning comes
+ * from the user's head. Camera shake is scaled right down, and the HUD is drawn
+ * on panels that travel with the rig.
+ *
+ * The composer's passes are screen-space and mono, so a session renders the
+ * scene directly (the embedding diagram) and shows glitches as a brief dimming
+ * rather than a screen distortion.
+ *
+ * Works with any WebXR runtime, including browser emulators. If the page loads
+ * webxr-polyfill before the app, it is installed when navigator.xr is missing.
+ */
+import * as THREE from 'three';
+import { BACKGROUND_LAYER } from './lensing.js';
+
+// Share of the journey's camera shake kept in a headset
+export const XR_SHAKE_SCALE = 0.1;
+
+// How far the exposure dips at full glitch intensity
+const GLITCH_DIMMING = 0.3;
+
+// HUD panel layout in rig space (metres from the head, which starts at the origin)
+const HUD_PANELS = {
+    journey: { size: [1024, 192], width: 1.2, position: [0, -0.45, -1.6], rotation: [-0.27, 0, 0] },
+    data: { size: [768, 448], width: 0.8, position: [0.95, -0.15, -1.3], rotation: [0, -0.6, 0] }
+};
+
+const HUD_BACKGROUND = 'rgba(6, 11, 20, 0.8)';
+const HUD_ACCENT = '#00ccff';
+const HUD_TEXT = '#e0f7ff';
+
+/**
+ * A flat panel showing a canvas, redrawn only when its content changes
+ */
+function createHudPanel({ size: [width, height], width: worldWidth, position, rotation }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(worldWidth, worldWidth * height / width),
+        new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false, // Always readable, even inside the wormhole surface
+            depthWrite: false,
+            toneMapped: false
+        })
+    );
+    mesh.position.fromArray(position);
+    mesh.rotation.fromArray(rotation);
+    mesh.renderOrder = 10;
+
+    let drawn = null;
+
+    return {
+        mesh,
+
+        // `key` identifies the content; `paint` draws it on a cleared, framed canvas
+        draw(key, paint) {
+            if (key === drawn) return;
+            drawn = key;
+
+            context.clearRect(0, 0, width, height);
+            context.fillStyle = HUD_BACKGROUND;
+            context.fillRect(0, 0, width, height);
+            context.strokeStyle = HUD_ACCENT;
+            context.lineWidth = 4;
+            context.strokeRect(2, 2, width - 4, height - 4);
+
+            paint(context, width, height);
+            texture.needsUpdate = true;
+        }
+    };
+}
+
+/**
+ * Create the VR mode for a viewer. `onChange(presenting)` runs when a session
+ * starts or ends; listeners are removed through `signal`.
+ */
+export function createXRMode({ renderer, scene, camera, signal, onChange = () => {} }) {
+    renderer.xr.enabled = true;
+    renderer.xr.setReferenceSpaceType('local'); // Seated: the head starts at the rig origin
+
+    const rig = new THREE.Group();
+    scene.add(rig);
+
+    // The HUD rides with the rig and is only shown in the headset
+    const hud = new THREE.Group();
+    hud.visible = false;
+    rig.add(hud);
+
+    const journeyPanel = createHudPanel(HUD_PANELS.journey);
+    const dataPanel = createHudPanel(HUD_PANELS.data);
+    hud.add(journeyPanel.mesh, dataPanel.mesh);
+
+    let session = null;
+    let headingLocked = false;
+    let baseExposure = renderer.toneMappingExposure;
+
+    // Scratch objects
+    const direction = new THREE.Vector3();
+
+    // Eye cameras only see layers 0 and 1 (left) or 0 and 2 (right), so the
+    // background layer would reach one eye only; put it on layer 0 as well
+    function showBackgroundInStereo(enabled) {
+        scene.traverse(object => {
+            if (enabled && object.layers.isEnabled(BACKGROUND_LAYER) && !object.layers.isEnabled(0)) {
+                object.layers.enable(0);
+                object.userData.stereoLayer = true;
+            } else if (!enabled && object.userData.stereoLayer) {
+                object.layers.disable(0);
+                delete object.userData.stereoLayer;
+            }
+        });
+    }
+
+    // Turn the rig to face from `from` towards `to`, on the horizontal plane only
+    function faceTowards(from, to) {
+        direction.subVectors(to, from);
+        if (direction.x * direction.x + direction.z * direction.z < 1e-6) return;
+        rig.rotation.set(0, Math.atan2(-direction.x, -direction.z), 0);
+    }
+
+    renderer.xr.addEventListener('sessionstart', () => {
+        baseExposure = renderer.toneMappingExposure;
+        headingLocked = false;
+
+        rig.add(camera);
+        camera.position.set(0, 0, 0);
+        camera.quaternion.identity();
+        hud.visible = true;
+        showBackgroundInStereo(true);
+
+        onChange(true);
+    });
+
+    renderer.xr.addEventListener('sessionend', () => {
+        session = null;
+        renderer.toneMappingExposure = baseExposure;
+
+        // Back in the scene, with the projection the headset replaced
+        scene.add(camera);
+        camera.updateProjectionMatrix();
+        hud.visible = false;
+        showBackgroundInStereo(false);
+
+        onChange(false);
+    });
+
+    // An emulator can add or remove a headset at any time
+    if (navigator.xr) {
+        navigator.xr.addEventListener('devicechange', () => {
+            if (!renderer.xr.isPresenting) onChange(false);
+        }, { signal });
+    }
+
+    return {
+        rig,
+
+        get presenting() {
+            return renderer.xr.isPresenting;
+        },
+
+        /**
+         * Resolves true when an immersive VR session can be requested
+         */
+        async isSupported() {
+            if (!navigator.xr && globalThis.WebXRPolyfill) new globalThis.WebXRPolyfill();
+            if (!navigator.xr || !window.isSecureContext) return false;
+
+            try {
+                return await navigator.xr.isSessionSupported('immersive-vr');
+            } catch (error) {
+                return false; // Blocked by a permissions policy
+            }
+        },
+
+        /**
+         * Enter VR, or leave it when a session is running. Must be called from a user gesture.
+         */
+        async toggle() {
+            if (session) {
+                await session.end();
+                return;
+            }
+
+            session = await navigator.xr.requestSession('immersive-vr');
+            try {
+                await renderer.xr.setSession(session);
+            } catch (error) {
+                session.end();
+                session = null;
+                throw error;
+            }
+        },
+
+        /**
+         * Move the rig along a journey sample. The heading is taken from the first
+         * sample and kept, so the rig never turns on its own.
+         */
+        followJourney(sample) {
+            if (!headingLocked) {
+                faceTowards(sample.position, sample.lookAt);
+                headingLocked = true;
+            }
+            rig.position.copy(sample.position);
+        },
+
+        /**
+         * Place the rig at the orbit view, facing its target; the next journey picks a new heading
+         */
+        followView(position, target) {
+            headingLocked = false;
+            rig.position.copy(position);
+            faceTowards(position, target);
+        },
+
+        // A glitch dims the view instead of tearing it
+        applyGlitch(intensity) {
+            renderer.toneMappingExposure = baseExposure * (1 - GLITCH_DIMMING * intensity);
+        },
+
+        // Objects added during a session (a new universe) need the stereo layer too
+        refreshLayers() {
+            if (renderer.xr.isPresenting) showBackgroundInStereo(true);
+        },
+
+        /**
+         * Redraw the HUD: { phase, progress, readouts: [[label, value], ...] }
+         */
+        updateHud({ phase, progress, readouts }) {
+            journeyPanel.mesh.visible = Boolean(phase);
+            if (phase) {
+                const percent = Math.round(progress * 100);
+                journeyPanel.draw(`${phase}|${percent}`, (context, width, height) => {
+                    context.fillStyle = HUD_TEXT;
+                    context.font = '600 56px "Exo 2", sans-serif';
+                    context.textBaseline = 'middle';
+                    context.fillText(phase, 40, height * 0.36);
+
+                    context.fillStyle = 'rgba(0, 204, 255, 0.25)';
+                    context.fillRect(40, height * 0.68, width - 80, 24);
+                    context.fillStyle = HUD_ACCENT;
+                    context.fillRect(40, height * 0.68, (width - 80) * progress, 24);
+                });
+            }
+
+            const key = readouts.map(([label, value]) => `${label}:${value}`).join('|');
+            dataPanel.draw(key, (context, width) => {
+                context.textBaseline = 'top';
+                context.fillStyle = HUD_ACCENT;
+                context.font = '600 44px "Exo 2", sans-serif';
+                context.fillText("Scientific Data", 36, 32);
+
+                readouts.forEach(([label, value], i) => {
+                    const y = 112 + i * 80;
+                    context.fillStyle = 'rgba(224, 247, 255, 0.7)';
+                    context.font = '400 30px Rajdhani, sans-serif';
+                    context.fillText(label, 36, y);
+                    context.fillStyle = HUD_TEXT;
+                    context.font = '600 34px Rajdhani, sans-serif';
+                    context.textAlign = 'right';
+                    context.fillText(value, width - 36, y + 30);
+                    context.textAlign = 'left';
+                });
+            });
+        },
+
+        dispose() {
+            // The panels are disposed with the scene
+            if (session) session.end().catch(() => {});
+        }
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * zip.js - Minimal store-only ZIP writer
+ *
+ * PNG frames are already compressed, so storing them uncompressed keeps the
+ * writer tiny and fast. Good for sequences up to a few hundred megabytes.
+ */
+
+// Standard CRC-32 lookup table
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files ({ name, data: Uint8Array }) into a ZIP blob
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(8, 0, true); // Stored, no compression
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+
+        // Matching central directory entry
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed
+        central.setUint16(10, 0, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralDirectory.push(central, name);
+
+        offset += 30 + name.length + size;
+    });
+
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}